@@ -11,6 +11,13 @@ const AIHUBMIX_API_KEY = process.env.AIHUBMIX_API_KEY;
 const pdfService = require('./services/pdfService');
 const cacheService = require('./services/cacheService');
 const aiService = require('./services/aiService');
+const referenceService = require('./services/referenceService');
+const tableService = require('./services/tableService');
+const renderService = require('./services/renderService');
+const exportService = require('./services/exportService');
+const resilienceService = require('./services/resilienceService');
+const templateService = require('./services/templateService');
+const captionService = require('./services/captionService');
 
 const app = express();
 const PORT = process.env.PORT || 2983;
@@ -19,6 +26,7 @@ const PORT = process.env.PORT || 2983;
 fs.ensureDirSync(process.env.UPLOAD_DIR || './uploads');
 fs.ensureDirSync(path.join(process.env.CACHE_DIR || './cache', 'images'));
 fs.ensureDirSync(path.join(process.env.CACHE_DIR || './cache', 'tables'));
+fs.ensureDirSync(path.join(process.env.CACHE_DIR || './cache', 'documents'));
 
 // 中间件
 app.use(cors());
@@ -49,66 +57,248 @@ const upload = multer({
   }
 });
 
+// 图片上传（照片 OCR）
+const imageUpload = multer({
+  storage,
+  limits: { fileSize: 20 * 1024 * 1024 }, // 单张 20MB
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+    if (allowed.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('只支持 PNG、JPEG、WebP、HEIC 图片'), false);
+    }
+  }
+});
+
 // 路由
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// 读取请求级模型提供方配置，例如 analysisProvider / analysisModel / imageBaseURL / imageApiKey
+function aiOverrides(source, phase) {
+    const pick = (name) => source[`${phase}${name}`] || undefined;
+    return {
+        provider: pick('Provider'),
+        model: pick('Model'),
+        baseURL: pick('BaseURL'),
+        apiKey: pick('ApiKey')
+    };
+}
+
+// 按模板生成提示词：槽位取自 documentId 对应文档的分析结果，请求中的 slots 可覆盖
+async function templatePrompt(source, subject) {
+    const template = templateService.get(source.template);
+    let doc = null;
+    if (source.documentId) {
+        doc = await cacheService.getDocument(source.documentId);
+        if (!doc) {
+            const error = new Error('文档不存在');
+            error.statusCode = 404;
+            throw error;
+        }
+    }
+    const slots = { ...templateService.slotsFromDocument(doc, subject), ...(source.slots || {}) };
+    return { template, prompt: templateService.render(template, slots) };
+}
+
+// 生图参考图：referenceKeys 指定缓存图片，或 useFigures=auto 从 documentId 对应文档中挑选方法总览图
+async function resolveReferences(source) {
+    const keys = (Array.isArray(source.referenceKeys) ? source.referenceKeys : String(source.referenceKeys || '').split(','))
+        .map(key => String(key).trim())
+        .filter(Boolean);
+    const auto = source.useFigures === 'auto';
+    if (keys.length === 0 && !auto) return [];
+
+    const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+    const maxReferences = parseInt(process.env.AI_IMAGE_MAX_REFERENCES, 10) || 3;
+    if (keys.length > maxReferences) throw fail(`referenceKeys 最多 ${maxReferences} 个`, 400);
+    const malformed = keys.filter(key => !/^[\w-]+$/.test(key));
+    if (malformed.length > 0) throw fail(`无效的参考图片 key: ${malformed.join(', ')}`, 400);
+
+    let figures = [];
+    if (source.documentId) {
+        const doc = await cacheService.getDocument(source.documentId);
+        if (!doc) throw fail('文档不存在', 404);
+        figures = doc.imageReferences || [];
+    } else if (auto) {
+        throw fail('useFigures=auto 需要 documentId', 400);
+    }
+
+    const describe = (key, from) => {
+        const figure = figures.find(f => f.key === key);
+        return { key, source: from, label: figure?.label || null, caption: figure?.caption || null, page: figure?.page ?? null };
+    };
+
+    if (keys.length > 0) {
+        const missing = keys.filter(key => !cacheService.getImagePath(key));
+        if (missing.length > 0) throw fail(`参考图片不存在: ${missing.join(', ')}`, 404);
+        return keys.map(key => describe(key, 'request'));
+    }
+
+    // 没有像方法图的图片时不附参考图，照常生成
+    const best = captionService.rankMethodFigures(figures).find(ranked => ranked.score > 0);
+    return best ? [{ ...describe(best.figure.key, 'auto'), score: best.score }] : [];
+}
+
+// 早期保存的文档没有 status 字段，有提示词即视为成功
+function isAnalysisOk(analysis) {
+    if (!analysis) return false;
+    return analysis.status ? analysis.status === 'ok' : Boolean(analysis.prompt);
+}
+
+// Phase 1 分析：失败时记录状态和原因（status: ok | failed | skipped），不再用占位内容冒充结果
+// overrides 需已由调用方校验（aiService.resolvePhase），无效的提供方或 baseURL 不应记为分析失败
+async function analyzeDocument(result, overrides) {
+    // 页眉、页脚、脚注不进入正文文本流
+    const fullText = (result.elements || [])
+        .filter(el => !el.role || el.role === 'body')
+        .filter(el => el.Text || el.text)
+        .map(el => el.Text || el.text)
+        .join('\n');
+    if (!fullText.trim()) {
+        return { status: 'skipped', error: '未提取到可分析的文本' };
+    }
+
+    const ai = analysisSource(overrides);
+    try {
+        const analysis = await aiService.generateAcademicPrompt(fullText, { sections: result.sections, ai: overrides });
+        return { status: 'ok', ...analysis, ai };
+    } catch (error) {
+        return { status: 'failed', error: error.message, statusCode: error.statusCode || 500, details: error.details || [], ai };
+    }
+}
+
+// 分析使用的提供方和模型；自定义 baseURL 时一并记录，不同部署上的同名模型结果不同
+function analysisSource(overrides) {
+    const { provider, config } = aiService.resolvePhase('analysis', overrides);
+    return { provider: provider.name, model: config.model, ...(config.customBaseURL ? { baseURL: config.baseURL } : {}) };
+}
+
+// 缓存的分析结果是否由同一提供方和模型生成，旧文档没有记录时视为不同
+function sameAnalysisSource(analysis, overrides) {
+    const stored = analysis?.ai;
+    if (!stored) return false;
+    const requested = analysisSource(overrides);
+    return stored.provider === requested.provider && stored.model === requested.model &&
+        (stored.baseURL || null) === (requested.baseURL || null);
+}
+
+// 标题、作者、关键词优先使用内嵌元数据和正文识别结果，缺失时才回退到 LLM 和文件名
+function mergeAnalysisMetadata(metadata = {}, analysis, filename) {
+    const sources = { ...metadata.sources };
+    const fallback = (field, value, source) => {
+        const current = metadata[field];
+        if (Array.isArray(current) ? current.length > 0 : current) return current;
+        if (Array.isArray(value) ? value.length === 0 : !value) return current ?? value;
+        sources[field] = source;
+        return value;
+    };
+    return {
+        ...metadata,
+        title: fallback('title', filename, 'filename'),
+        authors: fallback('authors', analysis.authors || [], 'llm'),
+        keywords: fallback('keywords', analysis.keywords || [], 'llm'),
+        sources
+    };
+}
+
+// 由保存的文档组装 /api/extract 响应，generatedPrompt 将由前端交给第二个接口
+function buildExtractResponse(doc, cached) {
+    const analysis = { status: isAnalysisOk(doc.analysis) ? 'ok' : 'failed', ...doc.analysis };
+    const ok = analysis.status === 'ok';
+    return {
+        documentId: doc.id,
+        cached,
+        text: ok ? analysis.summary : null,
+        generatedPrompt: ok ? analysis.prompt + "\n\n生图时请参考一下论文摘要：\n\n" + analysis.summary : null,
+        analysis,
+        ocrPages: doc.metadata?.ocrPages || [],
+        sections: doc.sections || [],
+        references: doc.references || [],
+        citations: doc.citations || [],
+        metadata: doc.metadata
+    };
+}
+
 // 提取 PDF 文本、表格和图片
+// 相同内容的文件按 SHA-256 复用已保存的提取和分析结果，refresh=true 时强制重新处理；
+// 分析提供方或模型与缓存的分析结果不同时只重新分析
 app.post('/api/extract', upload.single('pdf'), async (req, res) => {
     try {
         const filePath = req.file.path;
-        const result = await pdfService.extractPDF(filePath);
-
-        let fullText = "";
-        if (result.elements && Array.isArray(result.elements)) {
-            fullText = result.elements
-                .filter(el => el.Text || el.text)
-                .map(el => el.Text || el.text)
-                .join('\n');
-        }
-        const textForAI = fullText.length > 100 ? fullText : (result.text || "");
-
-        // 💡 关键唯一性修改：调用专门的文本分析方法，而不是生图方法
-        let finalSummary = "（未生成总结）";
-        let finalPrompt = "";
-        let finalAuthors = [];
-        let finalKeywords = [];
-
-        if (textForAI && textForAI.length > 0) {
-            // 只进行文本处理
-            const aiRawResponse = await aiService.generateAcademicPrompt(textForAI);
-            const parts = aiRawResponse.split('###');
-            
-            if (parts.length >= 2) {
-                finalSummary = parts[0].replace(/Summary:/i, '').trim();
-                finalPrompt = parts[1].replace(/Prompt:/i, '').trim();
-            }
-            if (parts.length >= 3) {
-                const authorsStr = parts[2].replace(/Authors:/i, '').trim();
-                finalAuthors = authorsStr.split(/,|，/).map(s => s.trim()).filter(s => s);
-            }
-            if (parts.length >= 4) {
-                const keywordsStr = parts[3].replace(/Keywords:/i, '').trim();
-                finalKeywords = keywordsStr.split(/,|，/).map(s => s.trim()).filter(s => s);
+        // 提取器可按请求指定（adobe / local），否则使用 PDF_EXTRACT_PROVIDER 或默认值
+        const provider = req.body.provider || req.query.provider;
+        // 页码范围，例如 pages=1-5,9，只把这些页交给提取器
+        const pages = req.body.pages || req.query.pages;
+        const refresh = String(req.body.refresh || req.query.refresh) === 'true';
+        // 扫描页自动 OCR，默认关闭，autoOcr=true 开启；locale / type 同 /api/ocr
+        const autoOcr = req.body.autoOcr || req.query.autoOcr;
+        const locale = req.body.locale || req.query.locale;
+        const type = req.body.type || req.query.type;
+        // figureDpi=300 时按 Bounds 重新裁剪高分辨率图片，通过 /api/cache/image/:key?size=hires 获取
+        const figureDpi = req.body.figureDpi || req.query.figureDpi;
+        // 分析提供方、模型和 baseURL 在提取前校验，无效时无论是否命中缓存都返回 400
+        const overrides = aiOverrides({ ...req.query, ...req.body }, 'analysis');
+        aiService.resolvePhase('analysis', overrides);
+
+        const contentHash = await cacheService.hashFile(filePath);
+        const documentId = cacheService.documentKey(contentHash, { provider, pages, autoOcr, locale, type, figureDpi });
+
+        if (!refresh) {
+            const cachedDoc = await cacheService.getDocument(documentId);
+            if (cachedDoc && cacheService.hasDocumentAssets(cachedDoc)) {
+                console.log(`[Extract] 命中缓存: ${documentId}`);
+                await cacheService.savePdf(contentHash, filePath);
+                await fs.unlink(filePath);
+                // 上次分析失败，或本次指定了不同的分析提供方 / 模型时，复用提取结果，只重新分析
+                if (!isAnalysisOk(cachedDoc.analysis) || !sameAnalysisSource(cachedDoc.analysis, overrides)) {
+                    cachedDoc.analysis = await analyzeDocument(cachedDoc, overrides);
+                    cachedDoc.metadata = mergeAnalysisMetadata(cachedDoc.metadata, cachedDoc.analysis, cachedDoc.filename);
+                    await cacheService.saveDocument(documentId, cachedDoc);
+                }
+                return res.json(buildExtractResponse(cachedDoc, true));
             }
         }
 
-        await fs.unlink(filePath);
-
-        // 返回 JSON，其中 generatedPrompt 将由前端交给第二个接口
-        res.json({
-            text: finalSummary, 
-            generatedPrompt: finalPrompt + "\n\n生图时请参考一下论文摘要：\n\n" + finalSummary,
-            metadata: {
-                ...result.metadata,
-                title: result.metadata?.title || req.file.originalname,
-                authors: finalAuthors,
-                keywords: finalKeywords
+        const result = await pdfService.extractPDF(filePath, {
+            provider,
+            pages,
+            autoOcr,
+            locale,
+            type,
+            figureDpi,
+            onProgress: (p) => {
+                const range = p.pages ? `第 ${p.pages[0]}-${p.pages[1]} 页` : '全文';
+                console.log(`[Extract] 分块 ${p.chunk}/${p.totalChunks} (${range}) ${p.status === 'started' ? '开始' : '完成'}`);
             }
         });
+
+        const analysis = await analyzeDocument(result, overrides);
+
+        // 保留原始 PDF（按内容哈希去重），供页面渲染等后续接口使用；
+        // 每次上传都重新保存以刷新修改时间，仍在使用的 PDF 不会被 cleanupOldFiles 清理
+        await cacheService.savePdf(contentHash, filePath);
+        await fs.unlink(filePath);
+
+        // 保存提取结果，供重复上传和参考文献导出等后续接口使用
+        const doc = {
+            id: documentId,
+            contentHash,
+            pdfKey: contentHash,
+            filename: req.file.originalname,
+            createdAt: new Date().toISOString(),
+            ...result,
+            metadata: mergeAnalysisMetadata(result.metadata, analysis, req.file.originalname),
+            analysis
+        };
+        await cacheService.saveDocument(documentId, doc);
+
+        res.json(buildExtractResponse(doc, false));
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        if (req.file) await fs.remove(req.file.path);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -120,7 +310,12 @@ app.post('/api/ocr', upload.single('pdf'), async (req, res) => {
     }
 
     const filePath = req.file.path;
-    const result = await pdfService.ocrPDF(filePath);
+    const provider = req.body.provider || req.query.provider;
+    const pages = req.body.pages || req.query.pages;
+    // OCR 语言（如 zh-CN、ja-JP，auto 为自动检测）和模式（SEARCHABLE_IMAGE / SEARCHABLE_IMAGE_EXACT）
+    const locale = req.body.locale || req.query.locale;
+    const type = req.body.type || req.query.type;
+    const result = await pdfService.ocrPDF(filePath, { provider, pages, locale, type });
     
     // 删除临时文件
     await fs.unlink(filePath);
@@ -128,13 +323,67 @@ app.post('/api/ocr', upload.single('pdf'), async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('OCR 失败:', error);
-    res.status(500).json({ 
+    if (req.file) await fs.remove(req.file.path);
+    res.status(error.statusCode || 500).json({ 
       error: 'OCR 失败', 
       message: error.message 
     });
   }
 });
 
+// OCR 可选的语言和模式
+app.get('/api/ocr/options', (req, res) => {
+  res.json(pdfService.ocrCapabilities());
+});
+
+// OCR 论文或海报照片：多张图片按上传顺序合成一份 PDF 后 OCR
+// searchablePdf=true 时额外保存可搜索 PDF，可从 pdfUrl 下载
+app.post('/api/ocr/image', imageUpload.array('images', 30), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: '请上传图片文件' });
+    }
+
+    const images = await Promise.all(req.files.map(async file => ({
+      buffer: await fs.readFile(file.path),
+      mimeType: file.mimetype
+    })));
+    const provider = req.body.provider || req.query.provider;
+    const keepPdf = String(req.body.searchablePdf || req.query.searchablePdf) === 'true';
+    const locale = req.body.locale || req.query.locale;
+    const type = req.body.type || req.query.type;
+
+    const result = await pdfService.ocrImages(images, { provider, keepPdf, locale, type });
+
+    res.json({
+      success: true,
+      imageCount: images.length,
+      elements: result.extractedText.elements,
+      document: result.extractedText.document,
+      metadata: result.extractedText.metadata,
+      ocr: result.ocr,
+      pdfUrl: result.pdfUrl
+    });
+  } catch (error) {
+    console.error('图片 OCR 失败:', error);
+    res.status(error.statusCode || 500).json({
+      error: '图片 OCR 失败',
+      message: error.message
+    });
+  } finally {
+    await Promise.all((req.files || []).map(file => fs.remove(file.path)));
+  }
+});
+
+// 下载缓存的 PDF（如 OCR 生成的可搜索 PDF）
+app.get('/api/cache/pdf/:key', (req, res) => {
+  const pdfPath = cacheService.getPdfPath(req.params.key);
+  if (!pdfPath) {
+    return res.status(404).json({ error: 'PDF 不存在' });
+  }
+  res.download(path.resolve(pdfPath), `${req.params.key}.pdf`);
+});
+
 // 修复后的图片获取路由 - 合并重复的路由
 app.get('/api/cache/image/:key', async (req, res) => {
   try {
@@ -179,25 +428,208 @@ app.get('/api/cache/image/:key', async (req, res) => {
 });
 
 // 获取缓存的表格
+// format 未指定时返回原始文件；json / markdown / html / csv 时统一解析 CSV 和 XLSX 后转换
 app.get('/api/cache/table/:key', async (req, res) => {
   try {
     const { key } = req.params;
+    const { format } = req.query;
     const tablePath = cacheService.getTablePath(key);
     
     if (!tablePath) {
       return res.status(404).json({ error: '表格不存在' });
     }
+
+    if (format) {
+      const supported = ['json', 'markdown', 'md', 'html', 'csv'];
+      if (!supported.includes(format)) {
+        return res.status(400).json({ error: '不支持的格式', supported });
+      }
+
+      const table = await tableService.loadTable(key);
+      if (format === 'json') {
+        // accounting=true 时按会计记法把 (3.2) 解析为 -3.2，默认保持字符串
+        const accounting = String(req.query.accounting) === 'true';
+        return res.json({ key, sourceFormat: table.sourceFormat, ...tableService.toStructured(table, { accounting }) });
+      }
+      if (format === 'markdown' || format === 'md') {
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        return res.send(tableService.toMarkdown(table));
+      }
+      if (format === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(tableService.toHTML(table));
+      }
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(tableService.toCSV(table));
+    }
     
     const ext = path.extname(tablePath).toLowerCase();
     if (ext === '.csv') {
       res.setHeader('Content-Type', 'text/csv');
-      res.sendFile(tablePath);
+      res.sendFile(path.resolve(tablePath));
     } else {
       res.download(tablePath);
     }
   } catch (error) {
     console.error('获取表格失败:', error);
-    res.status(500).json({ error: '获取表格失败' });
+    res.status(error.statusCode || 500).json({ error: '获取表格失败', message: error.message });
+  }
+});
+
+// 获取已提取的文档
+app.get('/api/documents/:id', async (req, res) => {
+  try {
+    const doc = await cacheService.getDocument(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    res.json(doc);
+  } catch (error) {
+    console.error('获取文档失败:', error);
+    res.status(500).json({ error: '获取文档失败' });
+  }
+});
+
+// 导出参考文献：format=json | bibtex | csl
+app.get('/api/documents/:id/references', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const doc = await cacheService.getDocument(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+
+    const references = doc.references || [];
+    const baseName = path.parse(doc.filename || doc.id).name;
+
+    if (format === 'bibtex' || format === 'bib') {
+      res.setHeader('Content-Type', 'application/x-bibtex; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(baseName)}.bib"`);
+      return res.send(referenceService.toBibTeX(references));
+    }
+    if (format === 'csl' || format === 'csl-json') {
+      res.setHeader('Content-Type', 'application/vnd.citationstyles.csl+json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(baseName)}.csl.json"`);
+      return res.send(JSON.stringify(referenceService.toCSL(references), null, 2));
+    }
+    if (format !== 'json') {
+      return res.status(400).json({ error: '不支持的格式', supported: ['json', 'bibtex', 'csl'] });
+    }
+
+    res.json({ references, citations: doc.citations || [] });
+  } catch (error) {
+    console.error('导出参考文献失败:', error);
+    res.status(500).json({ error: '导出参考文献失败' });
+  }
+});
+
+// 导出文档：format=markdown|html|jats，zip=true 时把图片打包进 assets/ 以便离线使用
+app.get('/api/documents/:id/export', async (req, res) => {
+  try {
+    const doc = await cacheService.getDocument(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+
+    const format = exportService.normalizeFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: '不支持的格式', supported: exportService.formats });
+    }
+
+    const baseName = encodeURIComponent(path.parse(doc.filename || doc.id).name);
+    if (String(req.query.zip) === 'true') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+      return res.send(await exportService.toZip(doc, format));
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(await exportService.toHTML(doc));
+    }
+    if (format === 'jats') {
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${baseName}.xml"`);
+      return res.send(await exportService.toJATS(doc));
+    }
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${baseName}.md"`);
+    res.send(await exportService.toMarkdown(doc));
+  } catch (error) {
+    console.error('导出文档失败:', error);
+    res.status(500).json({ error: '导出文档失败', message: error.message });
+  }
+});
+
+// 渲染文档页面：format=png|webp|jpeg，dpi 或 width 二选一（默认 150 DPI）
+app.get('/api/documents/:id/pages/:n', async (req, res) => {
+  try {
+    const doc = await cacheService.getDocument(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    if (!doc.pdfKey) {
+      return res.status(404).json({ error: '该文档未保存原始 PDF，请重新上传' });
+    }
+
+    const page = parseInt(req.params.n, 10);
+    if (!(page >= 1)) {
+      return res.status(400).json({ error: '无效的页码' });
+    }
+
+    const { dpi, width, format } = req.query;
+    const rendered = await renderService.renderPage(doc.pdfKey, page, { dpi, width, format });
+
+    res.setHeader('Content-Type', `image/${rendered.format}`);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(path.resolve(rendered.path));
+  } catch (error) {
+    console.error('页面渲染失败:', error);
+    res.status(error.statusCode || 500).json({ error: '页面渲染失败', message: error.message });
+  }
+});
+
+// 页面缩略图条带：pages=1-10 选择页码（默认前 20 页），layout=horizontal|vertical
+// format=json 时返回各页缩略图地址而不是拼接后的图片
+app.get('/api/documents/:id/thumbnails', async (req, res) => {
+  try {
+    const doc = await cacheService.getDocument(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: '文档不存在' });
+    }
+    if (!doc.pdfKey) {
+      return res.status(404).json({ error: '该文档未保存原始 PDF，请重新上传' });
+    }
+
+    const { width = 160, layout, format } = req.query;
+    const pageCount = doc.document?.pageCount || 1;
+    const pages = req.query.pages
+      ? pdfService.parsePageRanges(req.query.pages, pageCount)
+      : Array.from({ length: Math.min(pageCount, 20) }, (_, i) => i + 1);
+    if (pages.length > 100) {
+      return res.status(400).json({ error: '单次最多生成 100 页缩略图' });
+    }
+
+    if (format === 'json') {
+      // 宽度规则与缩略图条带相同：非数字时使用默认值，超出范围返回 400；链接中只写入解析后的整数
+      const thumbWidth = renderService.normalizeOptions({ width: parseInt(width, 10) || 160 }).width;
+      return res.json({
+        documentId: doc.id,
+        pageCount,
+        thumbnails: pages.map(page => ({
+          page,
+          url: `/api/documents/${doc.id}/pages/${page}?width=${thumbWidth}`
+        }))
+      });
+    }
+
+    const rendered = await renderService.renderThumbnailStrip(doc.pdfKey, pages, { width, layout, format });
+    res.setHeader('Content-Type', `image/${rendered.format}`);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(path.resolve(rendered.path));
+  } catch (error) {
+    console.error('生成缩略图失败:', error);
+    res.status(error.statusCode || 500).json({ error: '生成缩略图失败', message: error.message });
   }
 });
 
@@ -258,6 +690,31 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: '服务器内部错误' });
 });
 
+// 把生图事件写成 SSE：image / retry / error
+function writeGenerationEvent(res, chunk) {
+    if (chunk.type === 'image') {
+        res.write('event: image\n');
+        res.write(`data: ${JSON.stringify({
+            key: chunk.key,
+            url: `/api/cache/image/${chunk.key}`,
+            variant: chunk.variant,
+            style: chunk.style
+        })}\n\n`);
+    } else if (chunk.type === 'retry') {
+        res.write('event: retry\n');
+        res.write(`data: ${JSON.stringify({
+            variant: chunk.variant,
+            attempt: chunk.attempt,
+            delay: chunk.delay,
+            errorClass: chunk.errorClass,
+            error: chunk.error
+        })}\n\n`);
+    } else if (chunk.type === 'error') {
+        res.write('event: error\n');
+        res.write(`data: ${JSON.stringify({ error: chunk.error, variant: chunk.variant, style: chunk.style })}\n\n`);
+    }
+}
+
 // 流式生成内容（支持文本和图片）
 /**
  * 修改后的流式生成接口
@@ -270,7 +727,33 @@ app.use((err, req, res, next) => {
 app.post('/api/generate/stream', async (req, res) => {
     const requestId = uuidv4().substring(0, 8);
     try {
-        const { paperText } = req.body; // 此时 paperText 已经是优化过的 Prompt
+        let { paperText } = req.body; // 此时 paperText 已经是优化过的 Prompt
+        const overrides = aiOverrides(req.body, 'image');
+        // variants / aspectRatio / imageSize / temperature / seed / style(s)
+        const { variants, aspectRatio, imageSize, temperature, seed, style, styles } = req.body;
+
+        // 指定模板时由模板生成提示词，未指定的宽高比和尺寸使用模板推荐值（按提供方支持范围取最接近的值）
+        let template = null;
+        if (req.body.template) {
+            ({ template, prompt: paperText } = await templatePrompt(req.body, paperText));
+        }
+
+        const { provider } = aiService.resolvePhase('image', overrides);
+        const defaults = template ? aiService.templateImageOptions(provider, template) : {};
+        const imageOptions = {
+            variants,
+            aspectRatio: aspectRatio || defaults.aspectRatio,
+            imageSize: imageSize || defaults.imageSize,
+            temperature,
+            seed,
+            style,
+            styles,
+            references: await resolveReferences(req.body),
+            ai: overrides
+        };
+
+        // 在建立 SSE 之前校验参数，不支持的组合直接返回 400
+        aiService.normalizeImageOptions(provider, imageOptions);
 
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
@@ -280,62 +763,157 @@ app.post('/api/generate/stream', async (req, res) => {
         res.write(`data: ${JSON.stringify({ status: 'connected' })}\n\n`);
 
         // 💡 调用并发生图逻辑，内部屏蔽思考文本
-        const result = await aiService.generateFromPaper(paperText, (chunk) => {
-            if (chunk.type === 'image') {
-                res.write('event: image\n');
-                res.write(`data: ${JSON.stringify({
-                    key: chunk.key,
-                    url: `/api/cache/image/${chunk.key}`
-                })}\n\n`);
-            } else if (chunk.type === 'error') {
-                res.write('event: error\n');
-                res.write(`data: ${JSON.stringify({ error: chunk.error })}\n\n`);
-            }
-        });
+        const result = await aiService.generateFromPaper(paperText, (chunk) => writeGenerationEvent(res, chunk), imageOptions);
 
         res.write('event: complete\n');
-        res.write(`data: ${JSON.stringify({ status: 'complete' })}\n\n`);
+        res.write(`data: ${JSON.stringify({
+            status: 'complete',
+            template: template ? template.id : null,
+            prompt: template ? paperText : undefined,
+            options: result.options,
+            variants: result.variants,
+            references: result.references
+        })}\n\n`);
         res.end();
     } catch (error) {
-        if (!res.headersSent) res.status(500).end();
+        console.error(`[${requestId}] 生成失败:`, error.message);
+        if (!res.headersSent) return res.status(error.statusCode || 500).json({ error: error.message });
+        res.write('event: error\n');
+        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        res.end();
+    }
+});
+
+// 基于已有图片的编辑指令生成新版本（流式），新图片记入版本历史
+app.post('/api/generate/refine', async (req, res) => {
+    const requestId = uuidv4().substring(0, 8);
+    try {
+        const { key, instruction, variants, aspectRatio, imageSize, temperature, seed } = req.body;
+        if (!key || !instruction || !String(instruction).trim()) {
+            return res.status(400).json({ error: '需要提供 key 和 instruction' });
+        }
+        if (typeof key !== 'string' || !/^[\w-]+$/.test(key)) {
+            return res.status(400).json({ error: '无效的图片 key' });
+        }
+        if (!cacheService.getImagePath(key)) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+
+        const overrides = aiOverrides(req.body, 'image');
+        const imageOptions = { variants, aspectRatio, imageSize, temperature, seed, ai: overrides };
+
+        // 在建立 SSE 之前校验参数和提供方是否支持图片输入（宽高比和尺寸未指定时沿用原图）
+        const { provider } = aiService.resolvePhase('image', overrides);
+        aiService.normalizeImageOptions(provider, { ...imageOptions, variants: variants ?? 1, images: [key] });
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        res.write('event: connected\n');
+        res.write(`data: ${JSON.stringify({ status: 'connected', parent: key })}\n\n`);
+
+        const result = await aiService.refineImage(key, String(instruction).trim(),
+            (chunk) => writeGenerationEvent(res, chunk), imageOptions);
+
+        res.write('event: complete\n');
+        res.write(`data: ${JSON.stringify({
+            status: 'complete',
+            parent: result.parent,
+            root: result.root,
+            versions: result.versions,
+            options: result.options,
+            variants: result.variants
+        })}\n\n`);
+        res.end();
+    } catch (error) {
+        console.error(`[${requestId}] 图片编辑失败:`, error.message);
+        if (!res.headersSent) return res.status(error.statusCode || 500).json({ error: error.message });
+        res.write('event: error\n');
+        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        res.end();
     }
 });
 
 // 批量生成（非流式）
 app.post('/api/generate/batch', async (req, res) => {
   try {
-    const { 
+    let { 
       prompt, 
       modality = 'TEXT_AND_IMAGE',
-      aspectRatio = '1:1',
-      imageSize = '1k',
-      temperature = 0.7,
       maxTokens = 2048 
     } = req.body;
 
-    if (!prompt) {
+    if (!prompt && !req.body.template) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    let template = null;
+    if (req.body.template) {
+      ({ template, prompt } = await templatePrompt(req.body, prompt));
+    }
+
+    // 单张生成，参数按提供方支持范围校验
+    const overrides = aiOverrides(req.body, 'image');
+    const references = await resolveReferences(req.body);
+    const { provider } = aiService.resolvePhase('image', overrides);
+    const defaults = template ? aiService.templateImageOptions(provider, template) : {};
+    const { aspectRatio, imageSize, temperature, seed } = aiService.normalizeImageOptions(provider, {
+      ...req.body,
+      aspectRatio: req.body.aspectRatio || defaults.aspectRatio,
+      imageSize: req.body.imageSize || defaults.imageSize,
+      references,
+      variants: 1
+    });
+
     const result = await aiService.generateContent({
       prompt,
       modality,
       aspectRatio,
       imageSize,
       temperature,
-      maxTokens
-    });
+      seed,
+      maxTokens,
+      references
+    }, overrides);
 
-    res.json(result);
+    res.json(template ? { ...result, template: template.id, prompt } : result);
   } catch (error) {
     console.error('Batch generation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Generation failed', 
       message: error.message 
     });
   }
 });
 
+// 提示词模板列表
+app.get('/api/templates', (req, res) => {
+  res.json({
+    templates: templateService.list(),
+    slots: templateService.slotDescriptions()
+  });
+});
+
+// 图片的版本历史（编辑会话中的全部版本，parent 指向上一版本）
+app.get('/api/cache/image/:key/history', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!cacheService.getImagePath(key)) {
+      return res.status(404).json({ error: 'Image not found in cache' });
+    }
+
+    const history = await cacheService.getImageHistory(key);
+    if (!history) {
+      return res.json({ root: key, current: key, versions: [{ key, parent: null, version: 0 }], lineage: [key] });
+    }
+    res.json({ ...history, current: key, lineage: aiService.lineageOf(history, key).map(v => v.key) });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: 'Failed to get image history' });
+  }
+});
+
 // 获取缓存信息
 app.get('/api/cache/info/:key', async (req, res) => {
   try {
@@ -356,8 +934,9 @@ app.get('/api/cache/info/:key', async (req, res) => {
 // 清理缓存
 app.post('/api/cache/cleanup', async (req, res) => {
   try {
-    const { maxAgeHours = 24 } = req.body;
-    const result = await cacheService.cleanupOldFiles(maxAgeHours);
+    // 文档提取结果和表格单独设置保存时间，未指定时不清理
+    const { maxAgeHours = 24, documentMaxAgeHours = process.env.CACHE_DOCUMENT_MAX_AGE_HOURS } = req.body;
+    const result = await cacheService.cleanupOldFiles(maxAgeHours, parseFloat(documentMaxAgeHours) || null);
     
     res.json({
       success: true,
@@ -386,6 +965,9 @@ app.get('/api/status', async (req, res) => {
     res.json({
       system: systemStats,
       cache: cacheStats,
+      extractors: pdfService.listProviders(),
+      ai: aiService.listProviders(),
+      upstream: resilienceService.status(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -410,5 +992,7 @@ app.listen(PORT, () => {
   console.log(`🚀 AI Image Generator running on http://localhost:${PORT}`);
   console.log(`📁 Cache directory: ${process.env.CACHE_DIR || './cache'}`);
   console.log(`📁 Upload directory: ${process.env.UPLOAD_DIR || './uploads'}`);
-  console.log(`🔑 API Key configured: ${process.env.AIHUBMIX_API_KEY ? 'Yes' : 'No'}`);
+  for (const [phase, info] of Object.entries(aiService.listProviders().phases)) {
+    console.log(`🔑 ${phase}: ${info.provider} (${info.model}) API Key configured: ${info.configured ? 'Yes' : 'No'}`);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,243 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const cacheService = require('../cacheService');
+
+/**
+ * Gemini streamGenerateContent 生图接口（默认经 aihubmix 代理）
+ */
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.phases = ['image'];
+    this.defaults = {
+      model: 'gemini-3-pro-image-preview',
+      baseURL: 'https://aihubmix.com/gemini/v1beta/models',
+      apiKeyEnv: 'AIHUBMIX_API_KEY'
+    };
+    this.requiresKey = true;
+    // 生图参数支持范围，aiService 按此校验请求
+    this.imageOptions = {
+      aspectRatios: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+      imageSizes: ['1K', '2K', '4K'],
+      temperature: true,
+      seed: true,
+      // 是否接受随提示词发送的输入图片（图片编辑、参考图）
+      imageInput: true
+    };
+  }
+
+  /**
+   * 流式生成图片，图片保存到缓存后通过 onChunk 发出 image 事件
+   * @param {Object} request { prompt, aspectRatio, imageSize, temperature, seed, images }
+   * @param {Object} config { model, baseURL, apiKey }
+   * @param {Function} onChunk 事件回调
+   * @returns {Promise<Object>} { text, cacheKeys, success }
+   */
+  async generateImage(request, config, onChunk) {
+    const { prompt, aspectRatio, imageSize, temperature, seed, images = [] } = request;
+
+    // 输入图片以 inlineData 放在文本之前
+    const parts = [
+      ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+      { text: prompt }
+    ];
+
+    const requestBody = {
+      contents: [{ role: 'user', parts }],
+      generationConfig: {
+        responseModalities: ['TEXT', 'IMAGE'],
+        imageConfig: { aspectRatio, imageSize },
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(seed !== undefined ? { seed } : {})
+      }
+    };
+
+    try {
+      console.log("🎨 [Phase 2] 发起生图请求...");
+      const response = await axios({
+        method: 'POST',
+        url: `${config.baseURL.replace(/\/+$/, '')}/${config.model}:streamGenerateContent`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': config.apiKey,
+          'Accept': 'text/event-stream'
+        },
+        data: requestBody,
+        responseType: 'stream',
+        timeout: 300000 
+      });
+
+      return new Promise((resolve, reject) => {
+        let buffer = '';
+        let responseText = '';
+        const cacheKeys = [];
+        let chunkCount = 0;
+        
+        // 💡 关键修复：任务队列，用于追踪所有未完成的异步操作（如保存图片）
+        const pendingTasks = [];
+
+        response.data.on('data', (chunk) => {
+          chunkCount++;
+          buffer += chunk.toString();
+          
+          // 传递 pendingTasks 数组进去，让内部把异步任务推入队列
+          const processed = this.processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks);
+          
+          if (processed.text) {
+            responseText += processed.text;
+            onChunk({ type: 'text', content: processed.text });
+          }
+          buffer = processed.remainingBuffer;
+        });
+
+        response.data.on('end', async () => {
+          try {
+            // 处理残留 Buffer
+            if (buffer.trim()) {
+              const processed = this.processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks);
+              if (processed.text) {
+                 responseText += processed.text;
+                 onChunk({ type: 'text', content: processed.text });
+              }
+              // 尝试终极解析
+              const finalData = this.tryParseCompleteJSON(buffer);
+              if (finalData) {
+                 // 处理完整响应中的图片
+                 const task = this.processCompleteResponse(finalData, cacheKeys, onChunk);
+                 pendingTasks.push(task);
+              }
+            }
+
+            // 💡 关键等待：必须等待所有图片保存任务完成！
+            // 之前的 Bug 就是因为没等这一步，直接 resolve 了，导致图片事件没发出去
+            if (pendingTasks.length > 0) {
+                console.log(`⏳ 等待 ${pendingTasks.length} 个图片保存任务完成...`);
+                await Promise.all(pendingTasks);
+                console.log(`✅ 所有图片保存完毕`);
+            }
+
+            // 发送完成信号
+            onChunk({ type: 'completion', success: true, imageCount: cacheKeys.length });
+            resolve({ text: responseText, cacheKeys, success: true });
+
+          } catch (error) {
+            reject(new Error(`Final processing error: ${error.message}`));
+          }
+        });
+
+        response.data.on('error', (err) => {
+          // 已输出图片后中断的流不能整体重试，否则会重复出图
+          if (cacheKeys.length > 0) err.retryable = false;
+          reject(err);
+        });
+      });
+      
+    } catch (error) {
+      if (error.response) console.error("API Error Data:", error.response.data);
+      throw error;
+    }
+  }
+
+  // --- 辅助方法 (增加 pendingTasks 支持) ---
+
+  processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks) {
+    let remainingBuffer = buffer;
+    let extractedText = '';
+    
+    // 简单的 JSON 提取逻辑 (寻找配对的 {})
+    let startIndex = buffer.indexOf('{');
+    while (startIndex !== -1) {
+      let braceCount = 0;
+      let endIndex = -1;
+      let inString = false;
+      
+      for (let i = startIndex; i < buffer.length; i++) {
+        if (buffer[i] === '"' && buffer[i-1] !== '\\') inString = !inString;
+        if (!inString) {
+          if (buffer[i] === '{') braceCount++;
+          if (buffer[i] === '}') braceCount--;
+          if (braceCount === 0) { endIndex = i; break; }
+        }
+      }
+
+      if (endIndex !== -1) {
+        const jsonStr = buffer.substring(startIndex, endIndex + 1);
+        try {
+          const jsonData = JSON.parse(jsonStr);
+          const content = this.extractContentFromJSON(jsonData);
+          
+          if (content.text) extractedText += content.text;
+          
+          if (content.imageData) {
+            // 💡 这是一个异步任务，把它推入队列
+            const task = this.handleImageData(content.imageData, cacheKeys)
+              .then(imageKey => {
+                console.log(`📸 图片保存成功 (Async): ${imageKey}`);
+                onChunk({ type: 'image', key: imageKey, timestamp: new Date().toISOString() });
+              })
+              .catch(err => console.error("图片保存失败:", err));
+            
+            if (pendingTasks) pendingTasks.push(task);
+          }
+          
+          // 移动 buffer 指针
+          remainingBuffer = buffer.substring(endIndex + 1);
+          startIndex = remainingBuffer.indexOf('{'); // 继续找下一个
+          // 更新 buffer 以便下一次循环使用正确的索引基础
+          buffer = remainingBuffer; 
+          continue; 
+
+        } catch (e) {
+          // 解析失败可能是 JSON 不完整，跳出等待更多数据
+          break;
+        }
+      } else {
+        break; // 没有找到闭合括号
+      }
+    }
+    
+    return { text: extractedText, remainingBuffer };
+  }
+
+  extractContentFromJSON(jsonData) {
+    const result = { text: '', imageData: null };
+    // 适配 Gemini API 结构
+    const parts = jsonData.candidates?.[0]?.content?.parts || [];
+    for (const part of parts) {
+      if (part.text) result.text += part.text;
+      if (part.inlineData) result.imageData = part.inlineData; // { mimeType, data }
+    }
+    return result;
+  }
+
+  async processCompleteResponse(data, cacheKeys, onChunk) {
+    // 递归查找所有 inlineData
+    const findImages = (obj) => {
+        if (!obj) return [];
+        if (obj.mimeType && obj.data) return [obj];
+        if (Array.isArray(obj)) return obj.flatMap(findImages);
+        if (typeof obj === 'object') return Object.values(obj).flatMap(findImages);
+        return [];
+    };
+
+    const images = findImages(data);
+    for (const img of images) {
+        try {
+            const key = await this.handleImageData(img, cacheKeys);
+            onChunk({ type: 'image', key: key });
+        } catch (e) { console.error(e); }
+    }
+  }
+
+  async handleImageData(inlineData, cacheKeys) {
+    const buffer = Buffer.from(inlineData.data, 'base64');
+    const key = uuidv4();
+    await cacheService.saveImage(key, buffer, inlineData.mimeType);
+    cacheKeys.push(key);
+    return key;
+  }
+
+  tryParseCompleteJSON(str) { try { return JSON.parse(str); } catch { return null; } }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const cacheService = require('../cacheService');
+
+/**
+ * 本地确定性 mock：不访问网络，相同输入总是得到相同输出
+ * 用于离线开发、CI 和演示，分析与生图两个阶段都可使用
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.phases = ['analysis', 'image'];
+    this.defaults = { model: 'mock', baseURL: null, apiKeyEnv: null };
+    this.requiresKey = false;
+    this.imageOptions = {
+      aspectRatios: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+      imageSizes: ['1K', '2K', '4K'],
+      temperature: true,
+      seed: true,
+      imageInput: true
+    };
+  }
+
+  digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  /**
+   * 根据用户消息生成回复：要求 JSON 时输出符合分析约定的 JSON，否则输出摘要文本
+   * @param {Object} request { messages, responseFormat }
+   * @returns {Promise<string>}
+   */
+  async chat(request) {
+    const input = request.messages.filter(m => m.role === 'user').map(m => m.content)[0] || '';
+    if (request.responseFormat !== 'json') {
+      return `Mock summary: ${input.replace(/\s+/g, ' ').trim().substring(0, 200)}`;
+    }
+
+    const words = input.match(/[A-Za-z]{5,}/g) || [];
+    const keywords = [...new Set(words.map(w => w.toLowerCase()))].slice(0, 5);
+    const text = input.replace(/^论文内容：/, '').replace(/【[^】]+】/g, '').replace(/\s+/g, ' ').trim();
+    const topic = keywords.slice(0, 3).join(', ') || 'the paper';
+
+    return JSON.stringify({
+      summary: `Mock summary: ${text.substring(0, 300)}`.padEnd(50, '.'),
+      prompt: `A clean scientific diagram illustrating ${topic}, flat vector style, white background`,
+      authors: [],
+      keywords: keywords.length > 0 ? keywords : ['mock'],
+      contributions: [`Mock contribution about ${topic}`],
+      methods: [`Mock method step about ${topic}`],
+      limitations: [],
+      keyResults: (text.match(/\d+(?:\.\d+)?%/g) || []).slice(0, 3).map(value => `Mock result ${value}`)
+    });
+  }
+
+  /**
+   * 生成纯色占位图，颜色由提示词、输入图片和 seed 决定
+   * @param {Object} request { prompt, aspectRatio, imageSize, seed, images }
+   * @param {Object} config
+   * @param {Function} onChunk 事件回调
+   * @returns {Promise<Object>} { text, cacheKeys, success }
+   */
+  async generateImage(request, config, onChunk) {
+    const images = (request.images || []).map(image => this.digest(image.data)).join(',');
+    const hash = this.digest(`${request.prompt}|${images}|${request.seed ?? ''}`);
+    const [w, h] = String(request.aspectRatio || '1:1').split(':').map(Number);
+    // 按 1K / 2K / 4K 等比放大，保持占位图足够小
+    const width = 512 * ({ '2K': 2, '4K': 4 }[request.imageSize] || 1);
+    const height = w > 0 && h > 0 ? Math.round(width * h / w) : width;
+
+    const buffer = await sharp({
+      create: { width, height, channels: 3, background: `#${hash.substring(0, 6)}` }
+    }).png().toBuffer();
+
+    const key = uuidv4();
+    await cacheService.saveImage(key, buffer, 'image/png');
+    onChunk({ type: 'image', key, timestamp: new Date().toISOString() });
+    onChunk({ type: 'completion', success: true, imageCount: 1 });
+    return { text: '', cacheKeys: [key], success: true };
+  }
+}
+
+module.exports = MockProvider;
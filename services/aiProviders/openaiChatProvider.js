@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+/**
+ * OpenAI 兼容的 chat/completions 接口（aihubmix、DeepSeek、vLLM、Ollama 等）
+ */
+class OpenAIChatProvider {
+  constructor() {
+    this.name = 'openai-chat';
+    this.phases = ['analysis'];
+    this.defaults = {
+      model: 'deepseek-chat',
+      baseURL: 'https://api.aihubmix.com/v1',
+      apiKeyEnv: 'AIHUBMIX_API_KEY'
+    };
+    this.requiresKey = true;
+  }
+
+  /**
+   * 对话补全
+   * @param {Object} request { messages, temperature, maxTokens, responseFormat }
+   * @param {Object} config { model, baseURL, apiKey }
+   * @returns {Promise<string>} 模型回复文本
+   */
+  async chat(request, config) {
+    const response = await axios.post(`${config.baseURL.replace(/\/+$/, '')}/chat/completions`, {
+      model: config.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+      // 兼容服务不支持 JSON 模式时可用 AI_ANALYSIS_JSON_MODE=false 关闭，输出格式仍由提示词和校验保证
+      ...(request.responseFormat === 'json' && process.env.AI_ANALYSIS_JSON_MODE !== 'false'
+        ? { response_format: { type: 'json_object' } }
+        : {})
+    }, {
+      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+      timeout: request.timeout || 60000
+    });
+    return response.data.choices[0].message.content.trim();
+  }
+}
+
+module.exports = OpenAIChatProvider;
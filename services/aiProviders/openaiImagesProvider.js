@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const cacheService = require('../cacheService');
+
+/**
+ * OpenAI Images 接口（/images/generations），非流式，一次返回全部图片
+ */
+class OpenAIImagesProvider {
+  constructor() {
+    this.name = 'openai-images';
+    this.phases = ['image'];
+    this.defaults = {
+      model: 'gpt-image-1',
+      baseURL: 'https://api.openai.com/v1',
+      apiKeyEnv: 'OPENAI_API_KEY'
+    };
+    this.requiresKey = true;
+    this.imageOptions = {
+      aspectRatios: ['1:1', '3:2', '2:3'],
+      imageSizes: ['1K'],
+      temperature: false,
+      seed: false,
+      imageInput: false
+    };
+  }
+
+  /**
+   * 宽高比映射到接口支持的尺寸
+   * @param {string} aspectRatio 如 16:9
+   * @returns {string}
+   */
+  sizeFor(aspectRatio = '1:1') {
+    const [w, h] = String(aspectRatio).split(':').map(Number);
+    if (!(w > 0 && h > 0) || w === h) return '1024x1024';
+    return w > h ? '1536x1024' : '1024x1536';
+  }
+
+  /**
+   * 生成图片并写入缓存
+   * @param {Object} request { prompt, aspectRatio, imageSize }
+   * @param {Object} config { model, baseURL, apiKey }
+   * @param {Function} onChunk 事件回调
+   * @returns {Promise<Object>} { text, cacheKeys, success }
+   */
+  async generateImage(request, config, onChunk) {
+    console.log(`🎨 [OpenAI Images] 发起生图请求 (${config.model})...`);
+    const response = await axios.post(`${config.baseURL.replace(/\/+$/, '')}/images/generations`, {
+      model: config.model,
+      prompt: request.prompt,
+      n: 1,
+      size: this.sizeFor(request.aspectRatio)
+    }, {
+      headers: { 'Authorization': `Bearer ${config.apiKey}` },
+      timeout: 300000
+    });
+
+    const cacheKeys = [];
+    for (const item of response.data.data || []) {
+      const buffer = item.b64_json
+        ? Buffer.from(item.b64_json, 'base64')
+        : Buffer.from((await axios.get(item.url, { responseType: 'arraybuffer', timeout: 60000 })).data);
+      const key = uuidv4();
+      await cacheService.saveImage(key, buffer, 'image/png');
+      cacheKeys.push(key);
+      onChunk({ type: 'image', key, timestamp: new Date().toISOString() });
+    }
+
+    onChunk({ type: 'completion', success: true, imageCount: cacheKeys.length });
+    return { text: '', cacheKeys, success: true };
+  }
+}
+
+module.exports = OpenAIImagesProvider;
@@ -1,272 +1,711 @@
-const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const sectionService = require('./sectionService');
 const cacheService = require('./cacheService');
+const OpenAIChatProvider = require('./aiProviders/openaiChatProvider');
+const GeminiProvider = require('./aiProviders/geminiProvider');
+const OpenAIImagesProvider = require('./aiProviders/openaiImagesProvider');
+const MockProvider = require('./aiProviders/mockProvider');
+const { validate, extractJSON } = require('./jsonSchema');
+const { mapWithConcurrency } = require('./concurrency');
+const resilienceService = require('./resilienceService');
+
+// 各阶段默认使用的提供方，可用 AI_ANALYSIS_PROVIDER / AI_IMAGE_PROVIDER 覆盖
+const DEFAULT_PHASE_PROVIDERS = {
+  analysis: 'openai-chat',
+  image: 'gemini'
+};
+
+// Phase 1 分析结果的约定格式，description 同时作为给模型的说明
+const stringList = (description, extra = {}) => ({
+  type: 'array',
+  description,
+  items: { type: 'string', minLength: 1 },
+  ...extra
+});
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'prompt', 'authors', 'keywords', 'contributions', 'methods', 'limitations'],
+  properties: {
+    summary: { type: 'string', minLength: 50, description: '详细学术摘要（200-400字）' },
+    prompt: {
+      type: 'string',
+      minLength: 20,
+      description: '一段高质量英文生图指令（Subject + Style + Rendering），用来生成脉络清晰的论文结构图表'
+    },
+    authors: stringList('作者姓名列表，无法确定时为空数组'),
+    keywords: stringList('5个核心关键词', { minItems: 1, maxItems: 8 }),
+    contributions: stringList('主要贡献，每项一句话', { minItems: 1 }),
+    methods: stringList('核心方法或技术步骤，按流程顺序', { minItems: 1 }),
+    limitations: stringList('局限性或未来工作，论文未提及时为空数组'),
+    // 非必需字段，兼容早期缓存的分析结果
+    keyResults: stringList('关键数值结果，每项包含指标和数值，如 "ImageNet top-1 准确率 84.2%"，没有时为空数组', { maxItems: 8 })
+  }
+};
 
 class AIService {
   constructor() {
-    this.apiKey = process.env.AIHUBMIX_API_KEY;
-    this.baseURL = 'https://aihubmix.com/gemini/v1beta/models/gemini-3-pro-image-preview:streamGenerateContent';
-    this.llmBaseURL = 'https://api.aihubmix.com/v1';
-    
-    if (!this.apiKey) {
-      console.warn('⚠️ AIHUBMIX_API_KEY not set. AI features will not work.');
+    // 注册模型提供方，分析阶段实现 chat(request, config)，生图阶段实现 generateImage(request, config, onChunk)
+    this.providers = {};
+    this.registerProvider(new OpenAIChatProvider());
+    this.registerProvider(new GeminiProvider());
+    this.registerProvider(new OpenAIImagesProvider());
+    this.registerProvider(new MockProvider());
+
+    for (const phase of Object.keys(DEFAULT_PHASE_PROVIDERS)) {
+      const configured = process.env[`AI_${phase.toUpperCase()}_PROVIDER`];
+      if (configured && !this.isPhaseProvider(configured, phase)) {
+        console.warn(`⚠️ AI_${phase.toUpperCase()}_PROVIDER=${configured} 不是可用的提供方，改用默认的 ${DEFAULT_PHASE_PROVIDERS[phase]}`);
+      }
+      const { provider, config } = this.resolvePhase(phase);
+      if (provider.requiresKey && !config.apiKey) {
+        console.warn(`⚠️ ${phase} 阶段 (${provider.name}) 未配置 API Key，相关功能不可用`);
+      }
     }
   }
 
-  // Phase 1: 文本分析 (保持不变)
-  async generateAcademicPrompt(paperText) {
-    console.log("🚀 [Phase 1] AI 学术分析开始...");
-    if (!this.apiKey) throw new Error('API Key missing');
-
-    try {
-        const response = await axios.post(`${this.llmBaseURL}/chat/completions`, {
-            model: "deepseek-chat", 
-            messages: [
-                { 
-                    role: "system", 
-                    content: `你是一个专业学术科研助手。请分析论文正文，输出以下4个部分，每个部分之间严格用 "###" 分隔，内容不要包含编号：
-Summary: 详细学术摘要(200-400字)。
-Prompt: 一段高质量英文生图指令(Subject + Style + Rendering)，用来生成脉络清晰的论文结构图表。
-Authors: 作者列表，仅逗号分隔。
-Keywords: 5个核心关键词，仅逗号分隔。` 
-                },
-                { role: "user", content: `论文内容：${paperText.substring(0, 50000)}` }
-            ],
-            temperature: 0.7
-        }, {
-            headers: { 'Authorization': `Bearer ${this.apiKey}` },
-            timeout: 60000 
-        });
-        return response.data.choices[0].message.content.trim();
-    } catch (error) {
-        console.error("❌ [Phase 1] 失败:", error.message);
-        return "Summary: 失败###Prompt: A futuristic sci-fi lab###Authors: Unkown###Keywords: Error";
+  /**
+   * 注册模型提供方
+   * @param {Object} provider 提供方实例，需提供 name、phases、defaults
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  isPhaseProvider(name, phase) {
+    return Boolean(this.providers[name] && this.providers[name].phases.includes(phase));
+  }
+
+  /**
+   * 解析某个阶段的提供方和配置，优先级：请求参数 > 环境变量 AI_<PHASE>_* > 提供方默认值
+   * 请求指定了与环境变量不同的提供方时，不沿用环境变量中的模型和地址
+   * 请求改写 baseURL 时地址必须在 AI_ALLOWED_BASE_URLS 中，且只使用请求自带的 apiKey，服务端密钥不会发往该地址
+   * @param {string} phase analysis | image
+   * @param {Object} overrides { provider, model, baseURL, apiKey }
+   * @returns {{ provider: Object, config: { model, baseURL, apiKey, customBaseURL } }}
+   */
+  resolvePhase(phase, overrides = {}) {
+    const prefix = `AI_${phase.toUpperCase()}_`;
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    // 环境变量中的提供方无效时回退到默认提供方（启动时已告警），只有请求参数无效才返回 400
+    const configured = process.env[`${prefix}PROVIDER`];
+    const envProvider = configured && this.isPhaseProvider(configured, phase) ? configured : DEFAULT_PHASE_PROVIDERS[phase];
+    const name = overrides.provider || envProvider;
+    if (!this.isPhaseProvider(name, phase)) {
+      const supported = Object.values(this.providers).filter(p => p.phases.includes(phase)).map(p => p.name);
+      throw invalid(`未知的${phase === 'image' ? '生图' : '分析'}提供方: ${name}，可选: ${supported.join(', ')}`);
+    }
+    const provider = this.providers[name];
+
+    const env = name === envProvider
+      ? {
+        model: process.env[`${prefix}MODEL`],
+        baseURL: process.env[`${prefix}BASE_URL`],
+        apiKey: process.env[`${prefix}API_KEY`]
+      }
+      : {};
+    const serverKey = env.apiKey || (provider.defaults.apiKeyEnv ? process.env[provider.defaults.apiKeyEnv] : undefined);
+    const serverBaseURL = env.baseURL || provider.defaults.baseURL;
+
+    const normalizeURL = (url) => String(url).trim().replace(/\/+$/, '');
+    const customBaseURL = Boolean(overrides.baseURL) && normalizeURL(overrides.baseURL) !== normalizeURL(serverBaseURL || '');
+    if (customBaseURL) {
+      const allowed = (process.env.AI_ALLOWED_BASE_URLS || '').split(',').map(normalizeURL).filter(Boolean);
+      if (!allowed.includes(normalizeURL(overrides.baseURL))) {
+        throw invalid(`不允许的 baseURL: ${overrides.baseURL}，需加入 AI_ALLOWED_BASE_URLS`);
+      }
     }
+
+    return {
+      provider,
+      config: {
+        model: overrides.model || env.model || provider.defaults.model,
+        baseURL: customBaseURL ? normalizeURL(overrides.baseURL) : serverBaseURL,
+        apiKey: customBaseURL ? overrides.apiKey : (overrides.apiKey || serverKey),
+        customBaseURL
+      }
+    };
   }
 
-  // Phase 2: 核心工作流
-async generateFromPaper(paperText, onChunk) {
-    // 拦截器：只允许图片和错误流出，绝对屏蔽文本
-    const wrappedOnChunk = (chunk) => {
-        if (chunk.type === 'image' || chunk.type === 'error') {
-            onChunk(chunk);
-        }
+  /**
+   * 列出提供方及各阶段当前使用的提供方和模型（不包含密钥）
+   * @returns {Object}
+   */
+  listProviders() {
+    const phases = {};
+    for (const phase of Object.keys(DEFAULT_PHASE_PROVIDERS)) {
+      const { provider, config } = this.resolvePhase(phase);
+      phases[phase] = {
+        provider: provider.name,
+        model: config.model,
+        baseURL: config.baseURL,
+        configured: !provider.requiresKey || Boolean(config.apiKey)
+      };
+    }
+    return {
+      phases,
+      providers: Object.values(this.providers).map(p => ({
+        name: p.name,
+        phases: p.phases,
+        ...(p.imageOptions ? { imageOptions: p.imageOptions } : {})
+      }))
     };
+  }
 
-    // 并发启动 4 个生成任务
-    const tasks = Array(4).fill(0).map((_, i) => 
-        this.streamGenerateContent({
-            prompt: paperText, // 这里的 paperText 是 Stage 1 生成的精炼 Prompt
-            modality: 'TEXT_AND_IMAGE',
-            aspectRatio: '1:1',
-            imageSize: '1k'
-        }, wrappedOnChunk).catch(err => {
-            console.error(`Task ${i} 失败:`, err.message);
-            return { success: false };
-        })
-    );
+  // Phase 1: 文本分析，输出按 ANALYSIS_SCHEMA 校验的 JSON，不合格时把错误反馈给模型修正
+  // 全文超出输入预算时先按章节分块并行摘要（map），再基于分块摘要做最终分析（reduce）
+  // options.sections 为章节树时，优先把摘要和结论送入模型，而不是简单截取全文开头
+  // options.ai 为请求级提供方配置 { provider, model, baseURL, apiKey }
+  async generateAcademicPrompt(paperText, options = {}) {
+    console.log("🚀 [Phase 1] AI 学术分析开始...");
+    const { provider, config } = this.resolvePhase('analysis', options.ai);
+    if (provider.requiresKey && !config.apiKey) {
+      throw this.analysisError('分析服务未配置 API Key', 503);
+    }
 
-    const results = await Promise.all(tasks);
-    const allKeys = results.flatMap(r => r.cacheKeys || []);
-    return { success: true, cacheKeys: allKeys };
-}
+    const budget = this.analysisBudget();
+    if (this.estimateTokens(paperText) <= budget.inputTokens) {
+      const content = sectionService.buildPromptContext(options.sections, paperText, Infinity);
+      return { ...await this.structuredAnalysis(`论文内容：${content}`, provider, config), mode: 'single' };
+    }
 
-  // Phase 3: 底层流式生成 (关键修复区域)
-  async streamGenerateContent(options, onChunk) {
-    if (!this.apiKey) throw new Error('API Key Config Missing');
+    const chunks = this.buildChunks(options.sections, paperText, budget.chunkTokens);
+    console.log(`📚 [Phase 1] 全文约 ${this.estimateTokens(paperText)} tokens，分 ${chunks.length} 块摘要`);
+    const summaries = await this.summarizeChunks(chunks, provider, config, budget);
+    const digest = await this.reduceSummaries(summaries, provider, config, budget);
 
-    const { prompt, modality, aspectRatio, imageSize } = options;
+    const analysis = await this.structuredAnalysis(
+      `以下是一篇长论文按章节整理的分块摘要：\n\n${digest}`,
+      provider,
+      config
+    );
+    return {
+      ...analysis,
+      mode: 'map-reduce',
+      chunks: summaries.map(({ id, title, tokens, summary }) => ({ id, title, tokens, summary }))
+    };
+  }
 
-    const requestBody = {
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        responseModalities: ['TEXT', 'IMAGE'],
-        imageConfig: { aspectRatio, imageSize }
-      }
+  /**
+   * 分析阶段的 token 预算
+   * @returns {{ inputTokens: number, chunkTokens: number, summaryTokens: number, concurrency: number }}
+   */
+  analysisBudget() {
+    return {
+      // 单次请求允许的输入量，超出时走分块摘要
+      inputTokens: parseInt(process.env.AI_ANALYSIS_INPUT_TOKENS, 10) || 12000,
+      chunkTokens: parseInt(process.env.AI_ANALYSIS_CHUNK_TOKENS, 10) || 4000,
+      summaryTokens: parseInt(process.env.AI_ANALYSIS_SUMMARY_TOKENS, 10) || 600,
+      concurrency: parseInt(process.env.AI_ANALYSIS_CONCURRENCY, 10) || 3
     };
+  }
+
+  /**
+   * 粗略估算 token 数：中日韩字符约 1 token/字，其余约 4 字符/token
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+  }
+
+  /**
+   * 按章节分块：参考文献和致谢不参与，过长的章节按段落拆分，相邻的短章节合并
+   * @param {Array<Object>} sections 章节树
+   * @param {string} fullText 全文（没有章节树时使用）
+   * @param {number} maxTokens 单块上限
+   * @returns {Array<Object>} [{ id, title, text, tokens }]
+   */
+  buildChunks(sections, fullText, maxTokens) {
+    const units = (sections || [])
+      .filter(section => !['references', 'acknowledgments'].includes(section.role))
+      .map(section => ({
+        title: section.role === 'front' ? '前置内容' : [section.number, section.title].filter(Boolean).join(' '),
+        text: [section.title, sectionService.getSectionText(section)].filter(Boolean).join('\n')
+      }))
+      .filter(unit => unit.text.trim());
+    if (units.length === 0) units.push({ title: '正文', text: fullText });
 
-    try {
-      console.log("🎨 [Phase 2] 发起生图请求...");
-      const response = await axios({
-        method: 'POST',
-        url: this.baseURL,
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': this.apiKey,
-          'Accept': 'text/event-stream'
-        },
-        data: requestBody,
-        responseType: 'stream',
-        timeout: 300000 
+    // 过长的章节按段落拆分，单段仍超出时按字符硬切
+    const pieces = [];
+    for (const unit of units) {
+      if (this.estimateTokens(unit.text) <= maxTokens) {
+        pieces.push(unit);
+        continue;
+      }
+      const paragraphs = unit.text.split(/\n+/).flatMap(paragraph => {
+        if (this.estimateTokens(paragraph) <= maxTokens) return [paragraph];
+        const size = Math.max(1, Math.floor(paragraph.length * maxTokens / this.estimateTokens(paragraph)));
+        return paragraph.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'));
       });
+      let current = [];
+      let part = 1;
+      const flush = () => {
+        if (current.length === 0) return;
+        pieces.push({ title: `${unit.title} (${part++})`, text: current.join('\n') });
+        current = [];
+      };
+      for (const paragraph of paragraphs) {
+        if (this.estimateTokens([...current, paragraph].join('\n')) > maxTokens) flush();
+        current.push(paragraph);
+      }
+      flush();
+    }
 
-      return new Promise((resolve, reject) => {
-        let buffer = '';
-        let responseText = '';
-        const cacheKeys = [];
-        let chunkCount = 0;
-        
-        // 💡 关键修复：任务队列，用于追踪所有未完成的异步操作（如保存图片）
-        const pendingTasks = [];
-
-        response.data.on('data', (chunk) => {
-          chunkCount++;
-          buffer += chunk.toString();
-          
-          // 传递 pendingTasks 数组进去，让内部把异步任务推入队列
-          const processed = this.processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks);
-          
-          if (processed.text) {
-            responseText += processed.text;
-            onChunk({ type: 'text', content: processed.text });
-          }
-          buffer = processed.remainingBuffer;
-        });
+    // 相邻的短章节合并，减少请求次数
+    const chunks = [];
+    for (const piece of pieces) {
+      const last = chunks[chunks.length - 1];
+      if (last && this.estimateTokens(`${last.text}\n${piece.text}`) <= maxTokens) {
+        last.title = `${last.title} / ${piece.title}`;
+        last.text = `${last.text}\n${piece.text}`;
+      } else {
+        chunks.push({ ...piece });
+      }
+    }
 
-        response.data.on('end', async () => {
-          try {
-            // 处理残留 Buffer
-            if (buffer.trim()) {
-              const processed = this.processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks);
-              if (processed.text) {
-                 responseText += processed.text;
-                 onChunk({ type: 'text', content: processed.text });
-              }
-              // 尝试终极解析
-              const finalData = this.tryParseCompleteJSON(buffer);
-              if (finalData) {
-                 // 处理完整响应中的图片
-                 const task = this.processCompleteResponse(finalData, cacheKeys, onChunk);
-                 pendingTasks.push(task);
-              }
-            }
-
-            // 💡 关键等待：必须等待所有图片保存任务完成！
-            // 之前的 Bug 就是因为没等这一步，直接 resolve 了，导致图片事件没发出去
-            if (pendingTasks.length > 0) {
-                console.log(`⏳ 等待 ${pendingTasks.length} 个图片保存任务完成...`);
-                await Promise.all(pendingTasks);
-                console.log(`✅ 所有图片保存完毕`);
-            }
-
-            // 发送完成信号
-            onChunk({ type: 'completion', success: true, imageCount: cacheKeys.length });
-            resolve({ text: responseText, cacheKeys, success: true });
-
-          } catch (error) {
-            reject(new Error(`Final processing error: ${error.message}`));
-          }
-        });
+    return chunks.map((chunk, i) => ({ id: `chunk-${i + 1}`, ...chunk, tokens: this.estimateTokens(chunk.text) }));
+  }
 
-        response.data.on('error', (err) => reject(err));
-      });
-      
-    } catch (error) {
-      if (error.response) console.error("API Error Data:", error.response.data);
-      throw error;
+  /**
+   * map：以有限并发为每块生成要点摘要
+   */
+  async summarizeChunks(chunks, provider, config, budget) {
+    return mapWithConcurrency(chunks, budget.concurrency, async (chunk) => {
+      try {
+        const summary = await this.chat(provider, {
+          messages: [
+            {
+              role: "system",
+              content: "你是一个专业学术科研助手。下面是一篇长论文的一部分，请写出不超过 300 字的要点摘要，保留方法步骤、数据集、关键数值结果和结论，不要编造内容，只输出摘要正文。"
+            },
+            { role: "user", content: `【${chunk.title}】\n${chunk.text}` }
+          ],
+          temperature: 0.3,
+          maxTokens: budget.summaryTokens
+        }, config);
+        return { ...chunk, summary };
+      } catch (error) {
+        console.error(`❌ [Phase 1] 分块 ${chunk.id} 摘要失败:`, error.message);
+        throw this.analysisError(`分块摘要失败 (${chunk.title}): ${error.message}`, error.circuitOpen ? 503 : 502);
+      }
+    });
+  }
+
+  /**
+   * reduce：拼接分块摘要，仍超出输入预算时把摘要再分组摘要，直到放得下
+   */
+  async reduceSummaries(summaries, provider, config, budget) {
+    let digest = summaries.map(chunk => `【${chunk.title}】\n${chunk.summary}`).join('\n\n');
+
+    for (let level = 1; this.estimateTokens(digest) > budget.inputTokens; level++) {
+      if (level > 3) {
+        throw this.analysisError('分块摘要合并后仍超出输入预算，请调大 AI_ANALYSIS_INPUT_TOKENS', 502);
+      }
+      const groups = this.buildChunks(null, digest, budget.chunkTokens);
+      console.log(`📚 [Phase 1] 第 ${level} 轮合并: ${groups.length} 组`);
+      const merged = await this.summarizeChunks(groups, provider, config, budget);
+      digest = merged.map(chunk => chunk.summary).join('\n\n');
     }
+
+    return digest;
   }
 
-  // --- 辅助方法 (增加 pendingTasks 支持) ---
-
-  processStreamBuffer(buffer, onChunk, cacheKeys, pendingTasks) {
-    let remainingBuffer = buffer;
-    let extractedText = '';
-    
-    // 简单的 JSON 提取逻辑 (寻找配对的 {})
-    let startIndex = buffer.indexOf('{');
-    while (startIndex !== -1) {
-      let braceCount = 0;
-      let endIndex = -1;
-      let inString = false;
-      
-      for (let i = startIndex; i < buffer.length; i++) {
-        if (buffer[i] === '"' && buffer[i-1] !== '\\') inString = !inString;
-        if (!inString) {
-          if (buffer[i] === '{') braceCount++;
-          if (buffer[i] === '}') braceCount--;
-          if (braceCount === 0) { endIndex = i; break; }
+  /**
+   * 结构化分析：按 ANALYSIS_SCHEMA 校验，失败时带着错误重试
+   * @param {string} userContent 用户消息
+   * @returns {Promise<Object>} 规范化后的分析结果（含 attempts）
+   */
+  async structuredAnalysis(userContent, provider, config) {
+    const maxAttempts = parseInt(process.env.AI_ANALYSIS_MAX_ATTEMPTS, 10) || 3;
+    const messages = [
+      {
+        role: "system",
+        content: `你是一个专业学术科研助手。请分析论文正文，只输出一个符合以下 JSON Schema 的 JSON 对象，不要输出任何其他文字：
+${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}`
+      },
+      { role: "user", content: userContent }
+    ];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let reply;
+      try {
+        reply = await this.chat(provider, {
+          messages,
+          // 修正轮次降低温度，减少格式漂移
+          temperature: attempt === 1 ? 0.7 : 0.2,
+          responseFormat: 'json'
+        }, config);
+      } catch (error) {
+        console.error("❌ [Phase 1] 失败:", error.message);
+        throw this.analysisError(`分析服务调用失败: ${error.message}`, error.circuitOpen ? 503 : 502);
+      }
+
+      try {
+        const data = extractJSON(reply);
+        errors = validate(ANALYSIS_SCHEMA, data);
+        if (errors.length === 0) {
+          console.log(`✅ [Phase 1] 分析完成 (第 ${attempt} 次)`);
+          return { ...this.normalizeAnalysis(data), attempts: attempt };
         }
+      } catch (error) {
+        errors = [`输出不是合法的 JSON: ${error.message}`];
       }
 
-      if (endIndex !== -1) {
-        const jsonStr = buffer.substring(startIndex, endIndex + 1);
-        try {
-          const jsonData = JSON.parse(jsonStr);
-          const content = this.extractContentFromJSON(jsonData);
-          
-          if (content.text) extractedText += content.text;
-          
-          if (content.imageData) {
-            // 💡 这是一个异步任务，把它推入队列
-            const task = this.handleImageData(content.imageData, cacheKeys)
-              .then(imageKey => {
-                console.log(`📸 图片保存成功 (Async): ${imageKey}`);
-                onChunk({ type: 'image', key: imageKey, timestamp: new Date().toISOString() });
-              })
-              .catch(err => console.error("图片保存失败:", err));
-            
-            if (pendingTasks) pendingTasks.push(task);
-          }
-          
-          // 移动 buffer 指针
-          remainingBuffer = buffer.substring(endIndex + 1);
-          startIndex = remainingBuffer.indexOf('{'); // 继续找下一个
-          // 更新 buffer 以便下一次循环使用正确的索引基础
-          buffer = remainingBuffer; 
-          continue; 
-
-        } catch (e) {
-          // 解析失败可能是 JSON 不完整，跳出等待更多数据
-          break;
+      console.warn(`⚠️ [Phase 1] 第 ${attempt} 次输出不符合约定:`, errors.join('; '));
+      messages.push(
+        { role: "assistant", content: reply },
+        { role: "user", content: `上面的输出不符合约定：\n- ${errors.join('\n- ')}\n请修正后只输出完整的 JSON 对象。` }
+      );
+    }
+
+    throw this.analysisError(`分析结果在 ${maxAttempts} 次尝试后仍不符合约定格式`, 502, errors);
+  }
+
+  analysisError(message, statusCode, details = []) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+  }
+
+  /**
+   * 只保留约定字段，去除空白和重复项
+   * @param {Object} data 通过校验的模型输出
+   * @returns {Object}
+   */
+  normalizeAnalysis(data) {
+    const list = (values) => [...new Set(values.map(value => value.trim()).filter(Boolean))];
+    return {
+      summary: data.summary.trim(),
+      prompt: data.prompt.trim(),
+      authors: list(data.authors),
+      keywords: list(data.keywords),
+      contributions: list(data.contributions),
+      methods: list(data.methods),
+      limitations: list(data.limitations),
+      keyResults: list(data.keyResults || [])
+    };
+  }
+
+  // Phase 2: 核心工作流，按 variants 并发生成多张候选图
+  // options: { variants, aspectRatio, imageSize, temperature, seed, style, styles, images, references, ai }
+  // styles 为每个变体单独的风格描述，images 为随提示词一起发送的输入图片 [{ mimeType, data(base64) }]，
+  // references 为作为视觉参考的缓存图片 [{ key, source, label, caption, page }]，会记入生成图片的历史，
+  // ai 为请求级生图提供方配置 { provider, model, baseURL, apiKey }
+  async generateFromPaper(paperText, onChunk, options = {}) {
+    // 提前校验提供方和参数，避免每个任务各自失败
+    const { provider } = this.resolvePhase('image', options.ai);
+    const imageOptions = this.normalizeImageOptions(provider, options);
+    const references = options.references || [];
+    const attached = await this.attachReferences(paperText, references);
+    paperText = attached.prompt;
+    const images = [...(options.images || []), ...attached.images];
+
+    const tasks = Array.from({ length: imageOptions.variants }, (_, i) => {
+      const style = imageOptions.styles[i % imageOptions.styles.length] || null;
+      const seed = imageOptions.seed !== undefined ? imageOptions.seed + i : undefined;
+
+      // 拦截器：只允许图片、重试和错误流出，绝对屏蔽文本
+      const wrappedOnChunk = (chunk) => {
+        if (chunk.type === 'image' || chunk.type === 'retry' || chunk.type === 'error') {
+          onChunk({ ...chunk, variant: i, style });
         }
-      } else {
-        break; // 没有找到闭合括号
+      };
+
+      return this.streamGenerateContent({
+        prompt: style ? `${paperText}\n\nStyle: ${style}` : paperText, // 这里的 paperText 是 Stage 1 生成的精炼 Prompt
+        modality: 'TEXT_AND_IMAGE',
+        aspectRatio: imageOptions.aspectRatio,
+        imageSize: imageOptions.imageSize,
+        temperature: imageOptions.temperature,
+        seed,
+        images
+      }, wrappedOnChunk, options.ai)
+        .then(result => ({ variant: i, style, seed, success: true, cacheKeys: result.cacheKeys }))
+        .catch(err => {
+          console.error(`Task ${i} 失败:`, err.message);
+          onChunk({ type: 'error', variant: i, style, error: err.message });
+          return { variant: i, style, seed, success: false, cacheKeys: [], error: err.message, attempts: err.attempts };
+        });
+    });
+
+    const results = await Promise.all(tasks);
+    const cacheKeys = results.flatMap(r => r.cacheKeys);
+    await this.recordReferences(cacheKeys, references);
+    return {
+      success: results.some(r => r.success),
+      cacheKeys,
+      variants: results,
+      options: imageOptions,
+      references
+    };
+  }
+
+  /**
+   * 载入参考图片（有高分辨率变体时优先使用，长边缩到 1536 以内），并在提示词中说明参考图的用途
+   * @param {string} prompt 提示词
+   * @param {Array<Object>} references [{ key, label, caption }]
+   * @returns {Promise<{prompt: string, images: Array<Object>}>}
+   */
+  async attachReferences(prompt, references = []) {
+    if (references.length === 0) return { prompt, images: [] };
+
+    const images = [];
+    for (const reference of references) {
+      cacheService.assertKey(reference.key);
+      const filePath = cacheService.getImagePath(reference.key, 'hires');
+      if (!filePath) {
+        const error = new Error(`参考图片不存在: ${reference.key}`);
+        error.statusCode = 404;
+        throw error;
       }
+      const buffer = await sharp(await fs.readFile(filePath))
+        .resize(1536, 1536, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+      images.push({ mimeType: 'image/png', data: buffer.toString('base64') });
     }
-    
-    return { text: extractedText, remainingBuffer };
+
+    const described = references
+      .map((reference, i) => `[${i + 1}] ${reference.caption || reference.label || 'figure from the paper'}`)
+      .join('\n');
+    return {
+      prompt: `${prompt}\n\nThe attached image(s) are figures from the paper itself:\n${described}\n` +
+        'Use them as the visual reference for the real structure: keep the same components, their arrangement and connections, ' +
+        'but redraw them in the requested style instead of copying them.',
+      images
+    };
   }
 
-  extractContentFromJSON(jsonData) {
-    const result = { text: '', imageData: null };
-    // 适配 Gemini API 结构
-    const parts = jsonData.candidates?.[0]?.content?.parts || [];
-    for (const part of parts) {
-      if (part.text) result.text += part.text;
-      if (part.inlineData) result.imageData = part.inlineData; // { mimeType, data }
+  // 把参考图记入生成图片的版本历史（作为会话根版本的信息）
+  async recordReferences(cacheKeys, references = []) {
+    if (references.length === 0) return;
+    for (const key of cacheKeys) {
+      await cacheService.startImageHistory(key, { references });
     }
-    return result;
   }
 
-  async processCompleteResponse(data, cacheKeys, onChunk) {
-    // 递归查找所有 inlineData
-    const findImages = (obj) => {
-        if (!obj) return [];
-        if (obj.mimeType && obj.data) return [obj];
-        if (Array.isArray(obj)) return obj.flatMap(findImages);
-        if (typeof obj === 'object') return Object.values(obj).flatMap(findImages);
-        return [];
+  /**
+   * 按提供方支持的范围校验生图参数，不支持时返回 400 并列出可选值
+   * @param {Object} provider 生图提供方
+   * @param {Object} options 请求参数
+   * @returns {Object} { variants, aspectRatio, imageSize, temperature, seed, styles }
+   */
+  normalizeImageOptions(provider, options = {}) {
+    const supported = provider.imageOptions || {};
+    const maxVariants = parseInt(process.env.AI_IMAGE_MAX_VARIANTS, 10) || 8;
+    const invalid = (message) => {
+      const error = new Error(`${provider.name}: ${message}`);
+      error.statusCode = 400;
+      return error;
     };
 
-    const images = findImages(data);
-    for (const img of images) {
-        try {
-            const key = await this.handleImageData(img, cacheKeys);
-            onChunk({ type: 'image', key: key });
-        } catch (e) { console.error(e); }
+    const styles = (Array.isArray(options.styles) ? options.styles : [])
+      .map(style => String(style).trim())
+      .filter(Boolean);
+    if (styles.length === 0 && options.style) styles.push(String(options.style).trim());
+
+    const variants = options.variants === undefined
+      ? Math.max(4, styles.length)
+      : parseInt(options.variants, 10);
+    if (!(variants >= 1 && variants <= maxVariants)) {
+      throw invalid(`variants 需在 1-${maxVariants} 之间`);
+    }
+
+    const aspectRatio = String(options.aspectRatio || '1:1');
+    if (supported.aspectRatios && !supported.aspectRatios.includes(aspectRatio)) {
+      throw invalid(`不支持的 aspectRatio: ${aspectRatio}，可选: ${supported.aspectRatios.join(', ')}`);
+    }
+
+    // 兼容旧的小写写法（1k）
+    const imageSize = String(options.imageSize || '1K').toUpperCase();
+    if (supported.imageSizes && !supported.imageSizes.includes(imageSize)) {
+      throw invalid(`不支持的 imageSize: ${imageSize}，可选: ${supported.imageSizes.join(', ')}`);
+    }
+
+    if ((options.images?.length > 0 || options.references?.length > 0) && !supported.imageInput) {
+      throw invalid('不支持图片输入');
+    }
+
+    let temperature;
+    if (options.temperature !== undefined && options.temperature !== null && options.temperature !== '') {
+      if (!supported.temperature) throw invalid('不支持 temperature 参数');
+      temperature = Number(options.temperature);
+      if (!(temperature >= 0 && temperature <= 2)) throw invalid('temperature 需在 0-2 之间');
+    }
+
+    let seed;
+    if (options.seed !== undefined && options.seed !== null && options.seed !== '') {
+      if (!supported.seed) throw invalid('不支持 seed 参数');
+      seed = Number(options.seed);
+      if (!Number.isInteger(seed) || seed < 0) throw invalid('seed 需为非负整数');
     }
+
+    return { variants, aspectRatio, imageSize, temperature, seed, styles };
+  }
+
+  /**
+   * 基于已有图片按编辑指令生成新版本，新图片记入父图片所在会话的版本历史
+   * 提示词附带该版本之前已应用的编辑指令，多轮编辑时不会丢失先前的修改
+   * @param {string} key 父图片 key
+   * @param {string} instruction 编辑指令
+   * @param {Function} onChunk 事件回调
+   * @param {Object} options 同 generateFromPaper（默认 1 个变体），未指定宽高比和尺寸时沿用父图片
+   * @returns {Promise<Object>} generateFromPaper 的结果，附 parent、root、versions
+   */
+  async refineImage(key, instruction, onChunk, options = {}) {
+    const filePath = cacheService.getImagePath(key);
+    if (!filePath) {
+      const error = new Error(`图片不存在: ${key}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { provider, config } = this.resolvePhase('image', options.ai);
+    const buffer = await fs.readFile(filePath);
+    const { width, height } = await sharp(buffer).metadata();
+
+    const history = await cacheService.getImageHistory(key);
+    const applied = history ? this.lineageOf(history, key).map(v => v.instruction).filter(Boolean) : [];
+    const prompt = [
+      'Edit the attached image according to the instruction below. Keep everything the instruction does not mention (layout, content, labels, style) unchanged.',
+      applied.length > 0 ? `Edits already applied, keep them: ${applied.join('; ')}` : '',
+      `Instruction: ${instruction}`
+    ].filter(Boolean).join('\n');
+
+    const result = await this.generateFromPaper(prompt, onChunk, {
+      ...options,
+      variants: options.variants ?? 1,
+      aspectRatio: options.aspectRatio || this.closestAspectRatio(provider, width, height),
+      imageSize: options.imageSize || this.closestImageSize(provider, width, height),
+      images: [{ mimeType: this.mimeTypeOf(filePath), data: buffer.toString('base64') }]
+    });
+
+    const versions = [];
+    for (const cacheKey of result.cacheKeys) {
+      versions.push(await cacheService.addImageVersion(cacheKey, key, {
+        instruction,
+        provider: provider.name,
+        model: config.model
+      }));
+    }
+
+    return { ...result, parent: key, root: history ? history.root : key, versions };
+  }
+
+  /**
+   * 从根到指定版本的版本链
+   * @param {Object} history cacheService.getImageHistory 的结果
+   * @param {string} key 图片 key
+   * @returns {Array<Object>}
+   */
+  lineageOf(history, key) {
+    const byKey = new Map(history.versions.map(v => [v.key, v]));
+    const chain = [];
+    for (let version = byKey.get(key); version; version = byKey.get(version.parent)) {
+      chain.unshift(version);
+    }
+    return chain;
   }
 
-  async handleImageData(inlineData, cacheKeys) {
-    const buffer = Buffer.from(inlineData.data, 'base64');
-    const key = uuidv4();
-    await cacheService.saveImage(key, buffer, inlineData.mimeType);
-    cacheKeys.push(key);
-    return key;
+  /**
+   * 模板推荐的宽高比和尺寸换成提供方支持范围内最接近的值
+   * 模板默认值只是建议，提供方不支持时不应报错；用户显式指定的值仍按原样校验
+   * @param {Object} provider 生图提供方
+   * @param {Object} template templateService.get 的结果
+   * @returns {Object} { aspectRatio, imageSize }
+   */
+  templateImageOptions(provider, template) {
+    const [width, height] = template.aspectRatio.split(':').map(Number);
+    const size = parseInt(template.imageSize, 10) * 1024;
+    return {
+      aspectRatio: this.closestAspectRatio(provider, width, height),
+      imageSize: this.closestImageSize(provider, size, size)
+    };
   }
 
-  tryParseCompleteJSON(str) { try { return JSON.parse(str); } catch { return null; } }
+  // 提供方支持的宽高比中最接近原图的一个
+  closestAspectRatio(provider, width, height) {
+    const ratios = provider.imageOptions?.aspectRatios || ['1:1'];
+    const target = Math.log(width / height);
+    const distance = (ratio) => {
+      const [w, h] = ratio.split(':').map(Number);
+      return Math.abs(Math.log(w / h) - target);
+    };
+    return ratios.reduce((best, ratio) => distance(ratio) < distance(best) ? ratio : best);
+  }
+
+  // 提供方支持的尺寸中长边最接近原图的一个
+  closestImageSize(provider, width, height) {
+    const sizes = provider.imageOptions?.imageSizes || ['1K'];
+    const target = Math.max(width, height);
+    const distance = (size) => Math.abs(parseInt(size, 10) * 1024 - target);
+    return sizes.reduce((best, size) => distance(size) < distance(best) ? size : best);
+  }
+
+  mimeTypeOf(filePath) {
+    const types = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+    return types[path.extname(filePath).toLowerCase()] || 'image/png';
+  }
+
+  /**
+   * 经重试和熔断层调用分析提供方
+   * @param {Object} provider 分析提供方
+   * @param {Object} request { messages, temperature, maxTokens, responseFormat }
+   * @param {Object} config { model, baseURL, apiKey }
+   * @returns {Promise<string>}
+   */
+  chat(provider, request, config) {
+    return resilienceService.call(this.breakerName(provider, config), () => provider.chat(request, config));
+  }
+
+  // 熔断器名称：请求改写了 baseURL 时单独计数，不可达的自定义地址不会熔断服务端默认配置
+  breakerName(provider, config) {
+    return config.customBaseURL ? `ai:${provider.name}@${config.baseURL}` : `ai:${provider.name}`;
+  }
+
+  // Phase 3: 底层生图，交给当前生图提供方；临时性错误自动重试，重试时发出 retry 事件
+  async streamGenerateContent(options, onChunk, overrides = {}) {
+    const { provider, config } = this.resolvePhase('image', overrides);
+    if (provider.requiresKey && !config.apiKey) throw new Error('API Key Config Missing');
+    return resilienceService.call(
+      this.breakerName(provider, config),
+      () => provider.generateImage(options, config, onChunk),
+      { onRetry: (info) => onChunk({ type: 'retry', ...info }) }
+    );
+  }
+
+  /**
+   * 单次非流式生成（/api/generate/batch）
+   * @param {Object} options { prompt, aspectRatio, imageSize, references, ... }
+   * @param {Object} overrides 请求级提供方配置
+   * @returns {Promise<Object>} { success, text, images }
+   */
+  async generateContent(options, overrides = {}) {
+    const references = options.references || [];
+    const attached = await this.attachReferences(options.prompt, references);
+    const result = await this.streamGenerateContent({
+      ...options,
+      prompt: attached.prompt,
+      images: [...(options.images || []), ...attached.images]
+    }, () => {}, overrides);
+    await this.recordReferences(result.cacheKeys, references);
+    return {
+      success: result.success,
+      text: result.text,
+      images: result.cacheKeys.map(key => ({ key, url: `/api/cache/image/${key}` })),
+      ...(references.length > 0 ? { references } : {})
+    };
+  }
 }
 
 module.exports = new AIService();
\ No newline at end of file
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 class CacheService {
@@ -7,13 +8,24 @@ class CacheService {
     this.baseDir = process.env.CACHE_DIR || './cache';
     this.imagesDir = path.join(this.baseDir, 'images');
     this.tablesDir = path.join(this.baseDir, 'tables');
+    this.documentsDir = path.join(this.baseDir, 'documents');
+    this.pdfsDir = path.join(this.baseDir, 'pdfs');
+    this.rendersDir = path.join(this.baseDir, 'renders');
+    this.historyDir = path.join(this.baseDir, 'history');
+    // 版本历史的写入队列，避免同一会话的并发编辑互相覆盖
+    this.historyQueue = Promise.resolve();
     
     // 确保目录存在
     fs.ensureDirSync(this.imagesDir);
     fs.ensureDirSync(this.tablesDir);
+    fs.ensureDirSync(this.documentsDir);
+    fs.ensureDirSync(this.pdfsDir);
+    fs.ensureDirSync(this.rendersDir);
+    fs.ensureDirSync(this.historyDir);
     
     console.log(`[CacheService] 图片缓存目录: ${this.imagesDir}`);
     console.log(`[CacheService] 表格缓存目录: ${this.tablesDir}`);
+    console.log(`[CacheService] 文档缓存目录: ${this.documentsDir}`);
   }
 
   /**
@@ -49,6 +61,18 @@ class CacheService {
     }
   }
 
+  /**
+   * 保存图片变体（与原图共用 key，如高分辨率重裁剪的 hires）
+   * @param {string} key 图片唯一标识
+   * @param {string} variant 变体名称
+   * @param {Buffer} buffer 图片数据
+   * @param {string} mimeType 图片MIME类型
+   * @returns {Promise<string>} 保存的文件路径
+   */
+  async saveImageVariant(key, variant, buffer, mimeType = 'image/png') {
+    return this.saveImage(`${key}@${variant}`, buffer, mimeType);
+  }
+
   /**
    * 保存图片从Buffer（兼容aiService.js中的调用）
    * @param {Buffer} buffer 图片数据
@@ -66,6 +90,95 @@ class CacheService {
     }
   }
 
+  /**
+   * 校验缓存 key，只允许字母、数字、下划线和连字符，防止拼接出缓存目录以外的路径
+   * @param {string} key
+   * @throws {Error} statusCode 400
+   */
+  assertKey(key) {
+    if (typeof key !== 'string' || !/^[\w-]+$/.test(key)) {
+      const error = new Error(`无效的 key: ${key}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * 读取图片所在编辑会话的版本历史
+   * 会话以最初的图片为根，根的记录保存全部版本，其余版本只记录根 key
+   * @param {string} key 任一版本的图片 key
+   * @returns {Promise<Object|null>} { root, versions: [{ key, parent, version, instruction, createdAt, ... }] }
+   */
+  async getImageHistory(key) {
+    try {
+      if (!/^[\w-]+$/.test(key)) return null;
+
+      const filePath = path.join(this.historyDir, `${key}.json`);
+      if (!fs.existsSync(filePath)) return null;
+
+      const record = await fs.readJson(filePath);
+      return record.versions ? record : this.getImageHistory(record.root);
+    } catch (error) {
+      console.error('[CacheService] 读取版本历史失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 为新生成的图片开启版本历史，info 记在根版本上（如生成时使用的参考图）
+   * @param {string} key 图片 key
+   * @param {Object} info 附加信息
+   * @returns {Promise<Object>} 版本历史
+   */
+  async startImageHistory(key, info = {}) {
+    this.assertKey(key);
+    const task = this.historyQueue.then(async () => {
+      const history = {
+        root: key,
+        versions: [{ key, parent: null, version: 0, ...info, createdAt: new Date().toISOString() }]
+      };
+      await fs.writeJson(path.join(this.historyDir, `${key}.json`), history);
+      return history;
+    });
+    this.historyQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 记录图片的新版本，父图片还没有历史时以父图片为根（version 0）开启会话
+   * @param {string} key 新图片 key
+   * @param {string} parent 父图片 key
+   * @param {Object} info 附加信息，如 instruction、provider、model
+   * @returns {Promise<Object>} 新版本记录
+   */
+  async addImageVersion(key, parent, info = {}) {
+    this.assertKey(key);
+    this.assertKey(parent);
+    const task = this.historyQueue.then(async () => {
+      const history = await this.getImageHistory(parent) || {
+        root: parent,
+        versions: [{ key: parent, parent: null, version: 0, createdAt: new Date().toISOString() }]
+      };
+      const parentVersion = history.versions.find(v => v.key === parent);
+      const entry = {
+        key,
+        parent,
+        version: parentVersion.version + 1,
+        ...info,
+        createdAt: new Date().toISOString()
+      };
+
+      history.versions.push(entry);
+      await fs.writeJson(path.join(this.historyDir, `${history.root}.json`), history);
+      await fs.writeJson(path.join(this.historyDir, `${key}.json`), { root: history.root });
+
+      console.log(`[CacheService] 图片版本已记录: ${parent} -> ${key} (v${entry.version})`);
+      return entry;
+    });
+    this.historyQueue = task.catch(() => {});
+    return task;
+  }
+
   /**
    * 根据key获取图片文件路径
    * @param {string} key 图片key
@@ -74,8 +187,21 @@ class CacheService {
    */
   getImagePath(key, size = 'original') {
     try {
+      if (typeof key !== 'string' || !/^[\w-]+$/.test(key)) return null;
+
       // 尝试不同的文件扩展名
       const extensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+      // 请求变体（如 hires）时优先返回变体文件，不存在则回退到原图
+      if (size && size !== 'original' && /^\w+$/.test(size)) {
+        for (const ext of extensions) {
+          const filePath = path.join(this.imagesDir, `${key}@${size}${ext}`);
+          if (fs.existsSync(filePath)) {
+            console.log(`[CacheService] 找到图片变体: ${filePath}`);
+            return filePath;
+          }
+        }
+      }
       
       for (const ext of extensions) {
         const filename = `${key}${ext}`;
@@ -121,25 +247,37 @@ class CacheService {
 
   /**
    * 清理过期文件
+   * 图片、原始 PDF、页面渲染和图片版本历史按 maxAgeHours 清理；文档提取结果和表格是去重复用的数据，
+   * 只按单独的 documentMaxAgeHours 清理，未指定时保留
    * @param {number} maxAgeHours 最大保存时间（小时）
+   * @param {number|null} documentMaxAgeHours 文档和表格的最大保存时间（小时）
    * @returns {Promise<Object>} 清理结果
    */
-  async cleanupOldFiles(maxAgeHours = 24) {
+  async cleanupOldFiles(maxAgeHours = 24, documentMaxAgeHours = null) {
     try {
       const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
+      const documentCutoffTime = documentMaxAgeHours ? Date.now() - (documentMaxAgeHours * 60 * 60 * 1000) : null;
       let deletedCount = 0;
       let freedSpace = 0;
       
-      // 清理图片文件
-      const files = await fs.readdir(this.imagesDir);
-      for (const file of files) {
-        const filePath = path.join(this.imagesDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime.getTime() < cutoffTime) {
-          await fs.remove(filePath);
-          deletedCount++;
-          freedSpace += stats.size;
+      // 文档引用的图片被清理后，再次上传时会重新提取；原始 PDF 被清理后页面渲染返回 404，重新上传同一文件即可恢复
+      const groups = [
+        { dirs: [this.imagesDir, this.pdfsDir, this.rendersDir, this.historyDir], cutoff: cutoffTime },
+        ...(documentCutoffTime ? [{ dirs: [this.documentsDir, this.tablesDir], cutoff: documentCutoffTime }] : [])
+      ];
+      for (const { dirs, cutoff } of groups) {
+        for (const dir of dirs) {
+          const files = await fs.readdir(dir);
+          for (const file of files) {
+            const filePath = path.join(dir, file);
+            const stats = fs.statSync(filePath);
+            
+            if (stats.mtime.getTime() < cutoff) {
+              await fs.remove(filePath);
+              deletedCount++;
+              freedSpace += stats.size;
+            }
+          }
         }
       }
       
@@ -148,7 +286,8 @@ class CacheService {
       return {
         deletedCount,
         freedSpace,
-        cutoffTime: new Date(cutoffTime).toISOString()
+        cutoffTime: new Date(cutoffTime).toISOString(),
+        documentCutoffTime: documentCutoffTime ? new Date(documentCutoffTime).toISOString() : null
       };
     } catch (error) {
       console.error('[CacheService] 清理文件失败:', error);
@@ -164,6 +303,7 @@ class CacheService {
     try {
       const imageFiles = fs.readdirSync(this.imagesDir);
       const tableFiles = fs.readdirSync(this.tablesDir);
+      const documentFiles = fs.readdirSync(this.documentsDir);
       
       let totalSize = 0;
       for (const file of imageFiles) {
@@ -177,11 +317,13 @@ class CacheService {
       return {
         imageCount: imageFiles.length,
         tableCount: tableFiles.length,
+        documentCount: documentFiles.length,
         totalSize,
         totalSizeMB: Math.round(totalSize / (1024 * 1024) * 100) / 100,
         baseDir: this.baseDir,
         imagesDir: this.imagesDir,
-        tablesDir: this.tablesDir
+        tablesDir: this.tablesDir,
+        documentsDir: this.documentsDir
       };
     } catch (error) {
       console.error('[CacheService] 获取统计信息失败:', error);
@@ -220,6 +362,8 @@ class CacheService {
    */
   getTablePath(key) {
     try {
+      if (typeof key !== 'string' || !/^[\w-]+$/.test(key)) return null;
+
       const extensions = ['.csv', '.xlsx', '.xls'];
       
       for (const ext of extensions) {
@@ -238,6 +382,164 @@ class CacheService {
     }
   }
 
+  /**
+   * 删除提取结果写入缓存的图片和表格，用于丢弃不再引用的元素
+   * @param {Array<Object>} elements 提取结果的元素
+   * @returns {Promise<void>}
+   */
+  async removeAssets(elements = []) {
+    for (const element of elements) {
+      if (!element.key || (element.type !== 'image' && element.type !== 'table')) continue;
+      const filePath = element.type === 'table' ? this.getTablePath(element.key) : this.getImagePath(element.key);
+      if (filePath) await fs.remove(filePath);
+    }
+  }
+
+  /**
+   * 保存文档提取结果
+   * @param {string} id 文档ID
+   * @param {Object} data 文档数据
+   * @returns {Promise<string>} 保存的文件路径
+   */
+  async saveDocument(id, data) {
+    try {
+      const filePath = path.join(this.documentsDir, `${id}.json`);
+      await fs.writeJson(filePath, data);
+      
+      console.log(`[CacheService] 文档已保存: ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('[CacheService] 保存文档失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取文档提取结果
+   * @param {string} id 文档ID
+   * @returns {Promise<Object|null>} 文档数据或null
+   */
+  async getDocument(id) {
+    try {
+      if (!/^[\w-]+$/.test(id)) return null;
+
+      const filePath = path.join(this.documentsDir, `${id}.json`);
+      if (!fs.existsSync(filePath)) return null;
+
+      return await fs.readJson(filePath);
+    } catch (error) {
+      console.error('[CacheService] 读取文档失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存 PDF 文件到缓存（如 OCR 生成的可搜索 PDF）
+   * @param {string} key PDF key
+   * @param {string} sourcePath 源文件路径
+   * @returns {Promise<string>} 保存的文件路径
+   */
+  async savePdf(key, sourcePath) {
+    try {
+      const filePath = path.join(this.pdfsDir, `${key}.pdf`);
+      await fs.copy(sourcePath, filePath);
+
+      console.log(`[CacheService] PDF 已保存: ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('[CacheService] 保存 PDF 失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取缓存 PDF 路径
+   * @param {string} key PDF key
+   * @returns {string|null} 文件路径或null
+   */
+  getPdfPath(key) {
+    if (!/^[\w-]+$/.test(key)) return null;
+    const filePath = path.join(this.pdfsDir, `${key}.pdf`);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * 保存页面渲染结果
+   * @param {string} name 文件名（含扩展名）
+   * @param {Buffer} buffer 图片数据
+   * @returns {Promise<string>} 保存的文件路径
+   */
+  async saveRender(name, buffer) {
+    try {
+      const filePath = path.join(this.rendersDir, name);
+      await fs.writeFile(filePath, buffer);
+
+      console.log(`[CacheService] 页面渲染已保存: ${filePath} (${buffer.length} 字节)`);
+      return filePath;
+    } catch (error) {
+      console.error('[CacheService] 保存页面渲染失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取页面渲染缓存路径
+   * @param {string} name 文件名（含扩展名）
+   * @returns {string|null} 文件路径或null
+   */
+  getRenderPath(name) {
+    if (!/^[\w.-]+$/.test(name)) return null;
+    const filePath = path.join(this.rendersDir, name);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * 计算文件的 SHA-256
+   * @param {string} filePath 文件路径
+   * @returns {Promise<string>} 十六进制摘要
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * 由内容哈希和会影响结果的选项生成文档ID
+   * 没有额外选项时文档ID就是内容哈希本身
+   * @param {string} contentHash 文件 SHA-256
+   * @param {Object} options 影响提取结果的选项，如 { provider, pages }
+   * @returns {string} 文档ID
+   */
+  documentKey(contentHash, options = {}) {
+    const variant = Object.keys(options)
+      .sort()
+      .filter(name => options[name] !== undefined && options[name] !== null && options[name] !== '')
+      .map(name => `${name}=${String(options[name]).replace(/\s+/g, '')}`)
+      .join('&');
+
+    if (!variant) return contentHash;
+    const suffix = crypto.createHash('sha256').update(variant).digest('hex').substring(0, 12);
+    return `${contentHash}-${suffix}`;
+  }
+
+  /**
+   * 检查文档引用的图片和表格是否仍在缓存中（可能已被 cleanupOldFiles 清理）
+   * @param {Object} doc 文档数据
+   * @returns {boolean}
+   */
+  hasDocumentAssets(doc) {
+    return (doc.elements || []).every(el => {
+      if (el.type === 'image') return Boolean(this.getImagePath(el.key));
+      if (el.type === 'table') return Boolean(this.getTablePath(el.key));
+      return true;
+    });
+  }
+
   /**
    * 调试方法：列出所有缓存文件
    * @returns {Array} 文件列表
@@ -0,0 +1,221 @@
+/**
+ * 图表标题关联服务
+ * 根据页码和 Bounds 距离把 "Figure 3: ..." / "Table 2 ..." / "图 1" 等标题与图片、表格配对，
+ * 并收集正文中引用该图表的段落
+ */
+
+// 标题开头：Figure 3: / Fig. 3. / Table II / 图 1 / 表2
+const CAPTION_PATTERN = /^\s*(Figure|Fig\.?|Table|Tab\.?|图|表)\s*([A-Z]?\d+(?:\.\d+)?|[IVX]+)\s*(?:[:.：|—–-]|\s|$)/i;
+// 正文中的引用：Figure 3 / Fig. 3 / Figs. 3 / Table 2 / 图 1 / 表 2
+const MENTION_PATTERN = /(Figures?|Figs?\.?|Tables?|Tabs?\.?|图|表)\s*([A-Z]?\d+(?:\.\d+)?|[IVX]+)\b/gi;
+// 方法总览类图片与结果类图片的标题用词，用于挑选代表论文方法的图
+const METHOD_FIGURE_PATTERN = /\b(overview|architecture|framework|pipeline|workflow|schematic|overall|proposed|our (?:method|model|approach|system)|illustration of)\b|框架|架构|流程|总览|整体|示意/i;
+const RESULT_FIGURE_PATTERN = /\b(results?|comparisons?|compared|ablation|qualitative|quantitative|examples?|visuali[sz]ations?|performance|accuracy|curves?|samples?)\b|结果|对比|消融|示例|可视化/i;
+
+class CaptionService {
+  /**
+   * 为图片和表格元素添加 caption、label、mentions 字段
+   * @param {Array<Object>} elements 元素列表（原地修改）
+   * @param {Object} references { imageReferences, tableReferences }，同步写入相同字段
+   * @returns {Array<Object>} 元素列表
+   */
+  linkCaptions(elements = [], references = {}) {
+    const captions = [];
+    elements.forEach((element, index) => {
+      if (element.type !== 'text' || !element.text) return;
+      const parsed = this.parseCaption(element.text);
+      if (parsed) captions.push({ ...parsed, element, index });
+    });
+
+    const mentions = this.collectMentions(elements, captions);
+
+    for (const kind of ['figure', 'table']) {
+      const targets = elements.filter(el => el.type === (kind === 'figure' ? 'image' : 'table'));
+      const candidates = captions.filter(c => c.kind === kind);
+      const pairs = this.matchByProximity(targets, candidates, kind);
+
+      for (const target of targets) {
+        const caption = pairs.get(target);
+        target.caption = caption ? caption.element.text.trim() : null;
+        target.label = caption ? caption.label : null;
+        target.mentions = caption ? (mentions.get(caption.label) || []) : [];
+        if (caption) caption.element.captionOf = target.key;
+      }
+    }
+
+    // 同步到图片/表格引用列表
+    const byKey = new Map(elements.filter(el => el.key).map(el => [el.key, el]));
+    for (const ref of [...(references.imageReferences || []), ...(references.tableReferences || [])]) {
+      const element = byKey.get(ref.key);
+      if (!element) continue;
+      ref.caption = element.caption;
+      ref.label = element.label;
+      ref.mentions = element.mentions;
+    }
+
+    return elements;
+  }
+
+  /**
+   * 解析标题文本
+   * @param {string} text 文本
+   * @returns {{kind: string, label: string, number: string}|null}
+   */
+  parseCaption(text) {
+    const match = text.match(CAPTION_PATTERN);
+    if (!match) return null;
+    // 过长的段落更可能是以 "Figure 3 shows ..." 开头的正文
+    if (text.length > 1000 || /^\s*\S+\s*\S+\s+(shows?|illustrates?|presents?|depicts?|gives?|lists?|summari[sz]es?|compares?)\b/i.test(text)) {
+      return null;
+    }
+    const kind = this.kindOf(match[1]);
+    return { kind, number: match[2], label: this.makeLabel(kind, match[1], match[2]) };
+  }
+
+  kindOf(word) {
+    return /^(fig|图)/i.test(word) ? 'figure' : 'table';
+  }
+
+  makeLabel(kind, word, number) {
+    if (/^[图表]$/.test(word)) return `${word} ${number}`;
+    return `${kind === 'figure' ? 'Figure' : 'Table'} ${number}`;
+  }
+
+  /**
+   * 收集正文引用，按 label 分组
+   */
+  collectMentions(elements, captions) {
+    const captionIndexes = new Set(captions.map(c => c.index));
+    const mentions = new Map();
+
+    elements.forEach((element, index) => {
+      if (element.type !== 'text' || !element.text || captionIndexes.has(index)) return;
+
+      const seen = new Set();
+      for (const match of element.text.matchAll(MENTION_PATTERN)) {
+        const kind = this.kindOf(match[1]);
+        const label = this.makeLabel(kind, match[1], match[2]);
+        if (seen.has(label)) continue;
+        seen.add(label);
+
+        if (!mentions.has(label)) mentions.set(label, []);
+        mentions.get(label).push({
+          elementIndex: index,
+          page: element.page,
+          text: this.sentenceAround(element.text, match.index)
+        });
+      }
+    });
+
+    return mentions;
+  }
+
+  /**
+   * 取引用所在的句子，忽略 Fig. / et al. / e.g. 等缩写中的句号
+   */
+  sentenceAround(text, position) {
+    const boundaries = [0];
+    const sentenceEnd = /[.!?](\s+|$)|[。！？]/g;
+    let match;
+    while ((match = sentenceEnd.exec(text)) !== null) {
+      const before = text.slice(Math.max(0, match.index - 6), match.index + 1);
+      if (/(\bFigs?|\bTabs?|\bEqs?|\bet al|\be\.g|\bi\.e|\bvs|\bcf|\bSec)\.$/i.test(before)) continue;
+      boundaries.push(match.index + match[0].length);
+    }
+    boundaries.push(text.length);
+
+    const start = boundaries.filter(b => b <= position).pop();
+    const end = boundaries.find(b => b > position);
+    return text.slice(start, end).trim();
+  }
+
+  /**
+   * 按距离贪心配对：同页优先，图片标题通常在下方，表格标题通常在上方
+   * 没有 Bounds 时按同页出现顺序配对
+   */
+  matchByProximity(targets, candidates, kind) {
+    const scored = [];
+
+    targets.forEach((target, targetOrder) => {
+      candidates.forEach((caption, captionOrder) => {
+        const score = this.score(target, caption.element, kind, targetOrder, captionOrder, targets, candidates);
+        if (score !== null) scored.push({ target, caption, score });
+      });
+    });
+
+    scored.sort((a, b) => a.score - b.score);
+
+    const pairs = new Map();
+    const usedCaptions = new Set();
+    for (const { target, caption } of scored) {
+      if (pairs.has(target) || usedCaptions.has(caption)) continue;
+      pairs.set(target, caption);
+      usedCaptions.add(caption);
+    }
+    return pairs;
+  }
+
+  /**
+   * 按"方法总览图"的可能性给图片排序：标题含 overview / architecture / 框架 等加分，
+   * 含 results / comparison 等减分，靠前的图（Figure 1-3）和面积较大的图略加分
+   * @param {Array<Object>} figures 带 caption、label、bounds 的图片引用
+   * @returns {Array<{figure: Object, score: number}>} 按分数从高到低
+   */
+  rankMethodFigures(figures = []) {
+    return figures
+      .map(figure => {
+        const caption = figure.caption || '';
+        let score = caption ? 0 : -2;
+        if (METHOD_FIGURE_PATTERN.test(caption)) score += 10;
+        if (RESULT_FIGURE_PATTERN.test(caption)) score -= 6;
+
+        const number = parseInt(String(figure.label || '').replace(/\D+/g, ''), 10);
+        if (number >= 1 && number <= 3) score += 4 - number;
+
+        const b = figure.bounds;
+        if (Array.isArray(b) && b.length === 4) {
+          // 相对 Letter 页面的面积占比
+          score += Math.min(3, 3 * Math.abs((b[2] - b[0]) * (b[3] - b[1])) / (612 * 792) * 2);
+        }
+        return { figure, score: Math.round(score * 100) / 100 };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  score(target, captionElement, kind, targetOrder, captionOrder, targets, candidates) {
+    const pageGap = Math.abs((captionElement.page || 1) - (target.page || 1));
+    if (pageGap > 1) return null;
+
+    const a = target.bounds;
+    const b = captionElement.bounds;
+    if (!Array.isArray(a) || !Array.isArray(b)) {
+      // 没有位置信息：只在同页内按出现顺序配对
+      if (pageGap !== 0) return null;
+      const targetRank = targets.filter(t => t.page === target.page).indexOf(target);
+      const captionRank = candidates.filter(c => c.element.page === captionElement.page)
+        .findIndex(c => c.element === captionElement);
+      return 10000 + Math.abs(targetRank - captionRank) * 100 + Math.abs(targetOrder - captionOrder);
+    }
+
+    // Bounds 为 [x0, y0, x1, y1]，原点在左下角
+    const below = a[1] - b[3];   // 标题在目标下方时为正
+    const above = b[1] - a[3];   // 标题在目标上方时为正
+    const preferBelow = kind === 'figure';
+    let vertical;
+    if (below >= -5 && (preferBelow || above < -5)) {
+      vertical = Math.max(below, 0) + (preferBelow ? 0 : 30);
+    } else if (above >= -5) {
+      vertical = Math.max(above, 0) + (preferBelow ? 30 : 0);
+    } else {
+      // 垂直方向重叠：标题在图表旁边（侧栏标题）
+      vertical = 60;
+    }
+
+    const overlap = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+    const horizontal = overlap > 0 ? 0 : Math.abs(overlap) + 50;
+
+    return pageGap * 1000 + vertical + horizontal;
+  }
+}
+
+module.exports = new CaptionService();
@@ -0,0 +1,25 @@
+/**
+ * 以有限并发执行异步任务，结果顺序与输入顺序一致
+ * 任一任务失败时整体失败（与 Promise.all 一致），已启动的任务不会被取消
+ * @param {Array} items 输入列表
+ * @param {number} limit 最大并发数
+ * @param {Function} fn (item, index) => Promise
+ * @returns {Promise<Array>} 结果列表
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,506 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const cacheService = require('./cacheService');
+const tableService = require('./tableService');
+const referenceService = require('./referenceService');
+const { escapeInline, escapeBlock } = require('./markdown');
+
+// 放在 JATS <back> 中的章节角色
+const BACK_ROLES = ['references', 'acknowledgments', 'appendix'];
+// 图表标题开头的编号，JATS 中单独放在 <label>
+const CAPTION_LABEL = /^\s*(?:fig(?:ure)?\.?|tab(?:le)?\.?|图|表)\s*[\dIVX]+[a-z]?\s*[:.：—–-]?\s*/i;
+const JATS_PUBLICATION_TYPES = { article: 'journal', inproceedings: 'confproc', misc: 'other' };
+
+/**
+ * 文档导出服务
+ * 按章节树把提取结果转换为 Markdown / HTML：标题、段落、图片（引用 /api/cache/image/:key）
+ * 和表格（由缓存的 CSV / XLSX 渲染），ZIP 版本把图片打包进 assets/ 以便离线使用
+ */
+class ExportService {
+  constructor() {
+    this.formats = ['markdown', 'html', 'jats'];
+  }
+
+  /**
+   * 规范化格式名（md -> markdown，xml -> jats）
+   * @param {string} format
+   * @returns {string|null}
+   */
+  normalizeFormat(format = 'markdown') {
+    const aliases = { md: 'markdown', xml: 'jats' };
+    const normalized = aliases[String(format).toLowerCase()] || String(format).toLowerCase();
+    return this.formats.includes(normalized) ? normalized : null;
+  }
+
+  /**
+   * 把文档转换为块序列：title / authors / heading / paragraph / figure / table / footnote
+   * @param {Object} doc 已保存的文档
+   * @returns {Promise<Array<Object>>}
+   */
+  async buildBlocks(doc) {
+    const elements = doc.elements || [];
+    const title = doc.metadata?.title || path.parse(doc.filename || doc.id).name;
+    const authors = doc.metadata?.authors || [];
+    const blocks = [{ type: 'title', text: title }];
+    const footnotes = [];
+
+    if (authors.length > 0) {
+      blocks.push({ type: 'authors', text: authors.join(', ') });
+    }
+
+    const visit = async (section) => {
+      if (section.role !== 'front') {
+        blocks.push({
+          type: 'heading',
+          level: Math.min(6, section.level + 1),
+          text: [section.number, section.title].filter(Boolean).join(' ')
+        });
+      }
+
+      for (const item of section.content) {
+        const element = elements[item.index] || item;
+
+        if (item.type === 'text') {
+          // 图表标题随图表一起输出
+          if (element.captionOf) continue;
+          if (element.role === 'footnote') {
+            footnotes.push({ type: 'footnote', text: this.joinLines(item.text) });
+            continue;
+          }
+          // 前置内容中的论文标题已作为文档标题输出
+          if (section.role === 'front' && this.sameText(item.text, title)) continue;
+          blocks.push({ type: 'paragraph', text: this.joinLines(item.text) });
+        } else if (item.type === 'image') {
+          blocks.push({
+            type: 'figure',
+            key: item.key,
+            caption: element.caption || null,
+            size: element.variants?.hires ? 'hires' : 'original'
+          });
+        } else if (item.type === 'table') {
+          const table = await tableService.loadTable(item.key).catch(error => {
+            console.warn(`[ExportService] 读取表格失败 ${item.key}:`, error.message);
+            return null;
+          });
+          blocks.push({ type: 'table', key: item.key, caption: element.caption || null, table });
+        }
+      }
+
+      for (const child of section.children) {
+        await visit(child);
+      }
+    };
+
+    for (const section of doc.sections || []) {
+      await visit(section);
+    }
+
+    return [...blocks, ...footnotes];
+  }
+
+  /**
+   * 合并 PDF 中的折行：连字符断词直接拼接，中日韩文字之间不加空格
+   */
+  joinLines(text) {
+    return text
+      .split(/\n+/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .reduce((joined, line) => {
+        if (!joined) return line;
+        if (/[a-z]-$/.test(joined) && /^[a-z]/.test(line)) return joined.slice(0, -1) + line;
+        if (/[　-鿿＀-￯]$/.test(joined) && /^[　-鿿＀-￯]/.test(line)) return joined + line;
+        return `${joined} ${line}`;
+      }, '');
+  }
+
+  sameText(a, b) {
+    const normalize = (value) => (value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return normalize(a) === normalize(b);
+  }
+
+  /**
+   * 图片地址：在线版本指向图片接口，离线版本指向 assets/ 下的文件
+   */
+  imageSource(block, offline) {
+    if (offline) {
+      const imagePath = cacheService.getImagePath(block.key, block.size);
+      return imagePath ? `assets/${path.basename(imagePath)}` : null;
+    }
+    const query = block.size === 'hires' ? '?size=hires' : '';
+    return `/api/cache/image/${block.key}${query}`;
+  }
+
+  /**
+   * 转换为 Markdown
+   * @param {Object} doc 文档
+   * @param {Object} options { offline }
+   * @returns {Promise<string>}
+   */
+  async toMarkdown(doc, options = {}) {
+    const blocks = await this.buildBlocks(doc);
+    const lines = [];
+    let footnoteHeader = false;
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'title':
+          lines.push(`# ${escapeInline(block.text)}`);
+          break;
+        case 'authors':
+          lines.push(`*${escapeInline(block.text)}*`);
+          break;
+        case 'heading':
+          lines.push(`${'#'.repeat(block.level)} ${escapeInline(block.text)}`);
+          break;
+        case 'paragraph':
+          lines.push(escapeBlock(block.text));
+          break;
+        case 'figure': {
+          const src = this.imageSource(block, options.offline);
+          if (src) lines.push(`![${escapeInline(block.caption || block.key)}](${src})`);
+          if (block.caption) lines.push(`*${escapeInline(block.caption)}*`);
+          break;
+        }
+        case 'table':
+          if (block.caption) lines.push(`*${escapeInline(block.caption)}*`);
+          lines.push(block.table
+            ? tableService.toMarkdown(block.table).trim()
+            : `[表格 ${block.key}](/api/cache/table/${block.key})`);
+          break;
+        case 'footnote':
+          if (!footnoteHeader) {
+            lines.push('---');
+            footnoteHeader = true;
+          }
+          lines.push(escapeBlock(block.text));
+          break;
+      }
+    }
+
+    return lines.filter(Boolean).join('\n\n') + '\n';
+  }
+
+  /**
+   * 转换为独立的 HTML 页面
+   * @param {Object} doc 文档
+   * @param {Object} options { offline }
+   * @returns {Promise<string>}
+   */
+  async toHTML(doc, options = {}) {
+    const blocks = await this.buildBlocks(doc);
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const body = [];
+    const footnotes = [];
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'title':
+          body.push(`<h1>${escape(block.text)}</h1>`);
+          break;
+        case 'authors':
+          body.push(`<p class="authors">${escape(block.text)}</p>`);
+          break;
+        case 'heading':
+          body.push(`<h${block.level}>${escape(block.text)}</h${block.level}>`);
+          break;
+        case 'paragraph':
+          body.push(`<p>${escape(block.text)}</p>`);
+          break;
+        case 'figure': {
+          const src = this.imageSource(block, options.offline);
+          body.push([
+            '<figure>',
+            src ? `<img src="${escape(src)}" alt="${escape(block.caption || block.key)}">` : '',
+            block.caption ? `<figcaption>${escape(block.caption)}</figcaption>` : '',
+            '</figure>'
+          ].filter(Boolean).join('\n'));
+          break;
+        }
+        case 'table':
+          body.push([
+            '<figure class="table">',
+            block.caption ? `<figcaption>${escape(block.caption)}</figcaption>` : '',
+            block.table
+              ? tableService.toHTML(block.table).trim()
+              : `<a href="/api/cache/table/${escape(block.key)}">表格 ${escape(block.key)}</a>`,
+            '</figure>'
+          ].filter(Boolean).join('\n'));
+          break;
+        case 'footnote':
+          footnotes.push(`<p>${escape(block.text)}</p>`);
+          break;
+      }
+    }
+
+    if (footnotes.length > 0) {
+      body.push(`<aside class="footnotes">\n<hr>\n${footnotes.join('\n')}\n</aside>`);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(blocks[0].text)}</title>
+<style>
+body { max-width: 800px; margin: 2em auto; padding: 0 1em; font-family: Georgia, serif; line-height: 1.6; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img { max-width: 100%; }
+figcaption { font-size: 0.9em; color: #555; }
+table { border-collapse: collapse; margin: 0 auto; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; }
+.authors { font-style: italic; }
+.footnotes { font-size: 0.85em; color: #555; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      // XML 1.0 不允许的控制字符
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 转换为 JATS XML（Journal Archiving and Interchange 1.3）：
+   * front 为标题、作者、机构、摘要、关键词，body 为正文章节和图表，back 为致谢、附录、脚注和参考文献
+   * @param {Object} doc 文档
+   * @param {Object} options { offline }
+   * @returns {Promise<string>}
+   */
+  async toJATS(doc, options = {}) {
+    const x = (value) => this.escapeXml(value);
+    const metadata = doc.metadata || {};
+    const sections = doc.sections || [];
+    const title = metadata.title || path.parse(doc.filename || doc.id).name;
+    const context = { doc, options, footnotes: [], figures: 0, tables: 0 };
+
+    const abstracts = sections.filter(section => section.role === 'abstract');
+    const bodySections = sections.filter(section =>
+      !['front', 'abstract', 'keywords', ...BACK_ROLES].includes(section.role)
+    );
+
+    // front
+    const articleIds = [
+      metadata.doi ? `<article-id pub-id-type="doi">${x(metadata.doi)}</article-id>` : '',
+      metadata.arxivId ? `<article-id pub-id-type="arxiv">${x(metadata.arxivId)}</article-id>` : ''
+    ];
+    const contribs = (metadata.authors || []).map(author => {
+      const { surname, given } = this.splitName(author);
+      return `<contrib contrib-type="author"><name><surname>${x(surname)}</surname>${given ? `<given-names>${x(given)}</given-names>` : ''}</name></contrib>`;
+    });
+    const affs = (metadata.affiliations || []).map((aff, i) => `<aff id="aff-${i + 1}">${x(aff)}</aff>`);
+    const abstractXml = [];
+    for (const section of abstracts) {
+      abstractXml.push(`<abstract>\n${(await this.jatsContent(section, context)).join('\n')}\n</abstract>`);
+    }
+    const keywords = metadata.keywords?.length > 0
+      ? `<kwd-group>${metadata.keywords.map(keyword => `<kwd>${x(keyword)}</kwd>`).join('')}</kwd-group>`
+      : '';
+
+    const front = [
+      '<front>',
+      '<article-meta>',
+      ...articleIds,
+      `<title-group><article-title>${x(title)}</article-title></title-group>`,
+      contribs.length > 0 ? `<contrib-group>\n${contribs.join('\n')}\n</contrib-group>` : '',
+      ...affs,
+      ...abstractXml,
+      keywords,
+      '</article-meta>',
+      '</front>'
+    ];
+
+    // body：没有任何正文章节时（如无标题的短文），前置内容中标题以外的段落作为正文
+    const body = [];
+    for (const section of bodySections) {
+      body.push(await this.jatsSection(section, context));
+    }
+    const frontSection = sections.find(section => section.role === 'front');
+    if (body.length === 0 && frontSection) {
+      const content = await this.jatsContent(frontSection, context);
+      body.push(...content.filter(item => !this.sameText(item.replace(/<[^>]+>/g, ''), x(title))));
+    }
+
+    // back
+    const back = [];
+    for (const section of sections.filter(s => s.role === 'acknowledgments')) {
+      back.push(`<ack>\n<title>${x(section.title)}</title>\n${(await this.jatsContent(section, context)).join('\n')}\n</ack>`);
+    }
+    const appendices = sections.filter(s => s.role === 'appendix');
+    if (appendices.length > 0) {
+      const apps = [];
+      for (const section of appendices) {
+        apps.push((await this.jatsSection(section, context)).replace(/^<sec /, '<app ').replace(/<\/sec>$/, '</app>'));
+      }
+      back.push(`<app-group>\n${apps.join('\n')}\n</app-group>`);
+    }
+    if (context.footnotes.length > 0) {
+      back.push(`<fn-group>\n${context.footnotes.map((text, i) => `<fn id="fn-${i + 1}"><p>${x(text)}</p></fn>`).join('\n')}\n</fn-group>`);
+    }
+    const references = doc.references || [];
+    if (references.length > 0) {
+      back.push(`<ref-list>\n<title>References</title>\n${references.map(ref => this.jatsReference(ref)).join('\n')}\n</ref-list>`);
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE article PUBLIC "-//NLM//DTD JATS (Z39.96) Journal Archiving and Interchange DTD v1.3 20210610//EN" "JATS-archivearticle1-3.dtd">',
+      '<article xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:mml="http://www.w3.org/1998/Math/MathML" article-type="research-article" dtd-version="1.3">',
+      ...front,
+      `<body>\n${body.join('\n')}\n</body>`,
+      back.length > 0 ? `<back>\n${back.join('\n')}\n</back>` : '',
+      '</article>'
+    ].filter(Boolean).join('\n') + '\n';
+  }
+
+  /**
+   * 章节 -> <sec>：label、title、块内容，最后是子章节
+   */
+  async jatsSection(section, context) {
+    const x = (value) => this.escapeXml(value);
+    const parts = [`<sec id="${x(section.id)}">`];
+    if (section.number) parts.push(`<label>${x(section.number.replace(/[.)]$/, ''))}</label>`);
+    parts.push(`<title>${x(section.title)}</title>`);
+    parts.push(...await this.jatsContent(section, context));
+    for (const child of section.children) {
+      parts.push(await this.jatsSection(child, context));
+    }
+    parts.push('</sec>');
+    return parts.join('\n');
+  }
+
+  /**
+   * 章节自身内容 -> <p> / <fig> / <table-wrap>，脚注收集到 context.footnotes
+   */
+  async jatsContent(section, context) {
+    const x = (value) => this.escapeXml(value);
+    const elements = context.doc.elements || [];
+    const parts = [];
+
+    for (const item of section.content) {
+      const element = elements[item.index] || item;
+
+      if (item.type === 'text') {
+        if (element.captionOf) continue;
+        if (element.role === 'footnote') {
+          context.footnotes.push(this.joinLines(item.text));
+          continue;
+        }
+        parts.push(`<p>${x(this.joinLines(item.text))}</p>`);
+      } else if (item.type === 'image') {
+        const src = this.imageSource(
+          { key: item.key, size: element.variants?.hires ? 'hires' : 'original' },
+          context.options.offline
+        );
+        parts.push([
+          `<fig id="fig-${++context.figures}">`,
+          element.label ? `<label>${x(element.label)}</label>` : '',
+          element.caption ? `<caption><p>${x(element.caption.replace(CAPTION_LABEL, ''))}</p></caption>` : '',
+          src ? `<graphic xlink:href="${x(src)}"/>` : '',
+          '</fig>'
+        ].filter(Boolean).join(''));
+      } else if (item.type === 'table') {
+        const table = await tableService.loadTable(item.key).catch(() => null);
+        parts.push([
+          `<table-wrap id="table-${++context.tables}">`,
+          element.label ? `<label>${x(element.label)}</label>` : '',
+          element.caption ? `<caption><p>${x(element.caption.replace(CAPTION_LABEL, ''))}</p></caption>` : '',
+          // JATS 表格沿用 XHTML 表格模型，tableService 的输出已转义
+          table ? tableService.toHTML(table).trim() : `<media xlink:href="/api/cache/table/${x(item.key)}" mimetype="text" mime-subtype="csv"/>`,
+          '</table-wrap>'
+        ].filter(Boolean).join('\n'));
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * 参考文献 -> <ref>，解析出的字段放在 element-citation，原文放在 mixed-citation
+   */
+  jatsReference(ref) {
+    const x = (value) => this.escapeXml(value);
+    const citation = [];
+
+    if (ref.title || ref.authors.length > 0) {
+      const type = JATS_PUBLICATION_TYPES[referenceService.guessType(ref)] || 'other';
+      const names = ref.authors.map(author =>
+        `<name><surname>${x(author.family)}</surname>${author.given ? `<given-names>${x(author.given)}</given-names>` : ''}</name>`
+      );
+      citation.push([
+        `<element-citation publication-type="${type === 'other' && ref.arxivId ? 'preprint' : type}">`,
+        names.length > 0 ? `<person-group person-group-type="author">${names.join('')}</person-group>` : '',
+        ref.title ? `<article-title>${x(ref.title)}</article-title>` : '',
+        ref.venue ? `<source>${x(ref.venue)}</source>` : '',
+        ref.year ? `<year>${x(ref.year)}</year>` : '',
+        ref.doi ? `<pub-id pub-id-type="doi">${x(ref.doi)}</pub-id>` : '',
+        ref.arxivId ? `<pub-id pub-id-type="arxiv">${x(ref.arxivId)}</pub-id>` : '',
+        '</element-citation>'
+      ].join(''));
+    }
+    citation.push(`<mixed-citation>${x(ref.raw)}</mixed-citation>`);
+
+    return `<ref id="${x(ref.id)}">${ref.number ? `<label>${x(ref.number)}</label>` : ''}${citation.join('')}</ref>`;
+  }
+
+  /**
+   * 拆分作者姓名：西文取最后一个词为姓，"Family, Given" 按逗号拆分，中日韩姓名取首字为姓
+   */
+  splitName(name) {
+    const trimmed = name.trim();
+    if (trimmed.includes(',')) {
+      const [surname, given] = trimmed.split(/\s*,\s*/);
+      return { surname, given };
+    }
+    if (/^[一-龥]{2,4}$/.test(trimmed)) {
+      return { surname: trimmed[0], given: trimmed.slice(1) };
+    }
+    const words = trimmed.split(/\s+/);
+    return { surname: words.pop(), given: words.join(' ') };
+  }
+
+  /**
+   * 打包为 ZIP：正文文件 + assets/ 下的图片
+   * @param {Object} doc 文档
+   * @param {string} format markdown | html | jats
+   * @returns {Promise<Buffer>}
+   */
+  async toZip(doc, format) {
+    const zip = new AdmZip();
+    const outputs = {
+      markdown: { name: 'paper.md', render: () => this.toMarkdown(doc, { offline: true }) },
+      html: { name: 'index.html', render: () => this.toHTML(doc, { offline: true }) },
+      jats: { name: 'article.xml', render: () => this.toJATS(doc, { offline: true }) }
+    };
+    const output = outputs[format] || outputs.markdown;
+    zip.addFile(output.name, Buffer.from(await output.render(), 'utf8'));
+
+    const added = new Set();
+    for (const element of doc.elements || []) {
+      if (element.type !== 'image') continue;
+      const imagePath = cacheService.getImagePath(element.key, element.variants?.hires ? 'hires' : 'original');
+      if (imagePath && !added.has(imagePath)) {
+        zip.addLocalFile(imagePath, 'assets');
+        added.add(imagePath);
+      }
+    }
+
+    return zip.toBuffer();
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,380 @@
+const {
+  ServicePrincipalCredentials,
+  PDFServices,
+  MimeType,
+  ExtractPDFParams,
+  ExtractElementType,
+  ExtractPDFJob,
+  ExtractPDFResult,
+  ExtractRenditionsElementType,
+  OCRJob,
+  OCRParams,
+  OCRSupportedLocale,
+  OCRSupportedType,
+  OCRResult,
+  TableStructureType,
+  SDKError,
+  ServiceUsageError,
+  ServiceApiError
+} = require("@adobe/pdfservices-node-sdk");
+const fs = require("fs-extra");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { v4: uuidv4 } = require("uuid");
+const cacheService = require("../cacheService");
+const resilienceService = require("../resilienceService");
+
+/**
+ * 基于 Adobe PDF Services 的提取器
+ * 凭据缺失时不会在构造阶段抛错，只有真正调用时才会报错
+ */
+class AdobeExtractor {
+  constructor() {
+    this.name = 'adobe';
+    this.pdfServices = null;
+    // Adobe Extract 的单次任务限制，超出时由 pdfService 分块提取
+    this.limits = {
+      maxPages: parseInt(process.env.ADOBE_EXTRACT_MAX_PAGES, 10) || 400,
+      maxBytes: 100 * 1024 * 1024
+    };
+  }
+
+  /**
+   * 是否已配置 Adobe 凭据
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(process.env.PDF_SERVICES_CLIENT_ID && process.env.PDF_SERVICES_CLIENT_SECRET);
+  }
+
+  /**
+   * 懒加载 PDFServices 客户端
+   * @returns {PDFServices}
+   */
+  getClient() {
+    if (this.pdfServices) return this.pdfServices;
+
+    if (!this.isAvailable()) {
+      throw new Error('请设置 PDF_SERVICES_CLIENT_ID 和 PDF_SERVICES_CLIENT_SECRET 环境变量');
+    }
+
+    const credentials = new ServicePrincipalCredentials({
+      clientId: process.env.PDF_SERVICES_CLIENT_ID,
+      clientSecret: process.env.PDF_SERVICES_CLIENT_SECRET
+    });
+
+    this.pdfServices = new PDFServices({ credentials });
+    return this.pdfServices;
+  }
+
+  /**
+   * 提取 PDF 文本、表格和图片
+   * @param {string} filePath PDF 文件路径
+   * @returns {Promise<Object>} { document, elements, metadata }
+   */
+  async extract(filePath) {
+    try {
+      // 每次重试重新上传，文件流只能读取一次
+      return await resilienceService.call('adobe', () => this.runExtract(filePath));
+    } catch (err) {
+      this.handleError(err);
+    }
+  }
+
+  async runExtract(filePath) {
+    let readStream;
+    try {
+      const pdfServices = this.getClient();
+
+      // 上传 PDF 文件
+      readStream = fs.createReadStream(filePath);
+      const inputAsset = await pdfServices.upload({
+        readStream,
+        mimeType: MimeType.PDF
+      });
+
+      // 创建提取参数
+      const params = new ExtractPDFParams({
+        elementsToExtract: [ExtractElementType.TEXT, ExtractElementType.TABLES],
+        elementsToExtractRenditions: [ExtractRenditionsElementType.FIGURES, ExtractRenditionsElementType.TABLES],
+        getStylingInfo: true,
+        addCharInfo: true,
+        tableStructureType: TableStructureType.CSV
+      });
+
+      // 创建并提交任务
+      const job = new ExtractPDFJob({ inputAsset, params });
+      const pollingURL = await pdfServices.submit({ job });
+      
+      const pdfServicesResponse = await pdfServices.getJobResult({
+        pollingURL,
+        resultType: ExtractPDFResult
+      });
+
+      // 获取结果
+      const resultAsset = pdfServicesResponse.result.resource;
+      const streamAsset = await pdfServices.getContent({ asset: resultAsset });
+
+      // 保存 ZIP 文件
+      const tempZipPath = path.join(__dirname, '../../temp', `extract-${uuidv4()}.zip`);
+      await fs.ensureDir(path.dirname(tempZipPath));
+      
+      const writeStream = fs.createWriteStream(tempZipPath);
+      await new Promise((resolve, reject) => {
+        streamAsset.readStream.pipe(writeStream)
+          .on('finish', resolve)
+          .on('error', reject);
+      });
+
+      // 解压并处理内容
+      const result = await this.processExtractResult(tempZipPath);
+      
+      // 清理临时文件
+      await fs.unlink(tempZipPath);
+      
+      return result;
+      
+    } finally {
+      readStream?.destroy();
+    }
+  }
+
+  async processExtractResult(zipPath) {
+    const zip = new AdmZip(zipPath);
+    const zipEntries = zip.getEntries();
+    
+    // 查找 structuredData.json
+    const dataEntry = zipEntries.find(entry => entry.entryName === 'structuredData.json');
+    if (!dataEntry) {
+      throw new Error('未找到 structuredData.json');
+    }
+
+    // 解析 JSON 数据
+    const structuredData = JSON.parse(dataEntry.getData().toString('utf8'));
+    
+    // 处理元素，将图片和表格替换为缓存键
+    const processedElements = [];
+    const imageReferences = [];
+    const tableReferences = [];
+
+    for (const element of structuredData.elements) {
+      if (element.filePaths) {
+        const filePath = element.filePaths[0];
+        const entry = zipEntries.find(e => e.entryName === filePath);
+        
+        if (entry && filePath.includes('figures')) {
+          // 处理图片
+          const imageKey = uuidv4();
+          const imageBuffer = entry.getData();
+          const imagePath = await cacheService.saveImage(imageKey, imageBuffer);
+          
+          imageReferences.push({
+            key: imageKey,
+            path: element.Path,
+            page: this.pageOf(element),
+            bounds: element.Bounds,
+            mimeType: element.MimeType || 'image/png'
+          });
+          
+          processedElements.push({
+            type: 'image',
+            key: imageKey,
+            path: element.Path,
+            page: this.pageOf(element),
+            bounds: element.Bounds,
+            alt: element.Alt || ''
+          });
+          
+        } else if (entry && filePath.includes('tables')) {
+          // 处理表格
+          const tableKey = uuidv4();
+          const tableBuffer = entry.getData();
+          const isCSV = filePath.toLowerCase().endsWith('.csv');
+          const tablePath = await cacheService.saveTable(tableKey, tableBuffer, isCSV ? 'csv' : 'xlsx');
+          
+          tableReferences.push({
+            key: tableKey,
+            path: element.Path,
+            page: this.pageOf(element),
+            bounds: element.Bounds,
+            format: isCSV ? 'csv' : 'xlsx'
+          });
+          
+          processedElements.push({
+            type: 'table',
+            key: tableKey,
+            path: element.Path,
+            page: this.pageOf(element),
+            bounds: element.Bounds,
+            format: isCSV ? 'csv' : 'xlsx',
+            rowCount: element.RowCount,
+            columnCount: element.ColumnCount
+          });
+        } else {
+          // 处理文本
+          processedElements.push({
+            type: 'text',
+            text: element.Text || '',
+            path: element.Path,
+            page: this.pageOf(element),
+            bounds: element.Bounds,
+            fontSize: element.FontSize?.[0],
+            fontName: element.Font?.[0],
+            style: element.Style?.[0]
+          });
+        }
+      } else if (element.Text) {
+        // 纯文本元素
+        processedElements.push({
+          type: 'text',
+          text: element.Text,
+          path: element.Path,
+          page: this.pageOf(element),
+          bounds: element.Bounds,
+          fontSize: element.FontSize?.[0],
+          fontName: element.Font?.[0],
+          style: element.Style?.[0]
+        });
+      }
+    }
+
+    return {
+      document: {
+        pageCount: structuredData.elements.reduce((max, el) => 
+          Math.max(max, this.pageOf(el)), 1
+        ),
+        title: structuredData.document?.title || '',
+        author: structuredData.document?.author || ''
+      },
+      elements: processedElements,
+      imageReferences,
+      tableReferences,
+      metadata: {
+        totalElements: processedElements.length,
+        textElements: processedElements.filter(e => e.type === 'text').length,
+        imageElements: processedElements.filter(e => e.type === 'image').length,
+        tableElements: processedElements.filter(e => e.type === 'table').length
+      }
+    };
+  }
+
+  /**
+   * Adobe 的 Page 字段是从 0 开始的页码，这里统一转换为从 1 开始
+   * @param {Object} element structuredData 中的元素
+   * @returns {number}
+   */
+  pageOf(element) {
+    if (Number.isInteger(element.Page)) return element.Page + 1;
+    if (Array.isArray(element.Page) && Number.isInteger(element.Page[0])) return element.Page[0] + 1;
+    return 1;
+  }
+
+  /**
+   * OCR 支持的语言和模式
+   * @returns {{locales: Array<string>, types: Array<string>}}
+   */
+  ocrCapabilities() {
+    return {
+      locales: Object.values(OCRSupportedLocale),
+      types: Object.keys(OCRSupportedType)
+    };
+  }
+
+  /**
+   * 规范化 OCR 语言，接受 zh-CN / zh_cn / ZH_CN 等写法
+   * @param {string} value 语言
+   * @returns {string|null} OCRSupportedLocale 的值，不支持时返回 null
+   */
+  resolveOcrLocale(value) {
+    const normalized = String(value).trim().replace(/_/g, '-').toLowerCase();
+    return Object.values(OCRSupportedLocale).find(locale => locale.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * 规范化 OCR 模式，接受 SEARCHABLE_IMAGE / searchable_image 等写法
+   * @param {string} value 模式
+   * @returns {string|null} OCRSupportedType 的值，不支持时返回 null
+   */
+  resolveOcrType(value) {
+    const normalized = String(value).trim().toLowerCase();
+    return Object.values(OCRSupportedType).find(type => type === normalized) || null;
+  }
+
+  /**
+   * OCR 扫描版 PDF，生成可搜索 PDF
+   * @param {string} filePath PDF 文件路径
+   * @param {Object} options { locale, type }
+   * @returns {Promise<string>} OCR 后的 PDF 路径
+   */
+  async ocr(filePath, options = {}) {
+    try {
+      return await resilienceService.call('adobe', () => this.runOcr(filePath, options));
+    } catch (err) {
+      this.handleError(err);
+    }
+  }
+
+  async runOcr(filePath, options = {}) {
+    let readStream;
+    try {
+      const pdfServices = this.getClient();
+
+      // 上传 PDF 文件
+      readStream = fs.createReadStream(filePath);
+      const inputAsset = await pdfServices.upload({
+        readStream,
+        mimeType: MimeType.PDF
+      });
+
+      // 创建 OCR 参数
+      const params = new OCRParams({
+        ocrLocale: options.locale || OCRSupportedLocale.EN_US,
+        ocrType: options.type || OCRSupportedType.SEARCHABLE_IMAGE_EXACT
+      });
+
+      // 创建并提交 OCR 任务
+      const job = new OCRJob({ inputAsset, params });
+      const pollingURL = await pdfServices.submit({ job });
+      
+      const pdfServicesResponse = await pdfServices.getJobResult({
+        pollingURL,
+        resultType: OCRResult
+      });
+
+      // 获取结果
+      const resultAsset = pdfServicesResponse.result.asset;
+      const streamAsset = await pdfServices.getContent({ asset: resultAsset });
+
+      // 保存 OCR 后的 PDF
+      const ocrPdfPath = path.join(__dirname, '../../temp', `ocr-${uuidv4()}.pdf`);
+      await fs.ensureDir(path.dirname(ocrPdfPath));
+      
+      const writeStream = fs.createWriteStream(ocrPdfPath);
+      await new Promise((resolve, reject) => {
+        streamAsset.readStream.pipe(writeStream)
+          .on('finish', resolve)
+          .on('error', reject);
+      });
+
+      return ocrPdfPath;
+
+    } finally {
+      readStream?.destroy();
+    }
+  }
+
+  handleError(err) {
+    if (err.circuitOpen) {
+      // 熔断中直接返回 503，不包装
+      throw err;
+    } else if (err instanceof SDKError || err instanceof ServiceUsageError || err instanceof ServiceApiError) {
+      console.error("Adobe PDF Services 错误:", err);
+      throw new Error(`PDF 处理失败: ${err.message}`);
+    } else {
+      console.error("处理错误:", err);
+      throw new Error(`处理失败: ${err.message}`);
+    }
+  }
+}
+
+module.exports = AdobeExtractor;
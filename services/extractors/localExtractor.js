@@ -0,0 +1,246 @@
+const { execFile, spawnSync } = require("child_process");
+const { promisify } = require("util");
+const fs = require("fs-extra");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const cacheService = require("../cacheService");
+
+const execFileAsync = promisify(execFile);
+
+// 小于该尺寸的嵌入图片（图标、装饰线、遮罩等）不作为图片元素返回
+const MIN_IMAGE_SIDE = 64;
+
+/**
+ * 基于 poppler 命令行工具（pdftotext / pdfimages）的本地提取器
+ * 不依赖网络，适合离线开发、CI 以及 Adobe 配额用尽的情况
+ */
+class LocalExtractor {
+  constructor() {
+    this.name = 'local';
+    this.limits = {};
+    this.pdftotextBin = process.env.PDFTOTEXT_PATH || 'pdftotext';
+    this.pdfimagesBin = process.env.PDFIMAGES_PATH || 'pdfimages';
+  }
+
+  /**
+   * pdftotext 和 pdfimages 都能执行时可用，首次调用时探测一次并缓存结果
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.available === undefined) {
+      this.available = [this.pdftotextBin, this.pdfimagesBin].every(bin =>
+        !spawnSync(bin, ['-v'], { stdio: 'ignore', timeout: 5000 }).error
+      );
+    }
+    return this.available;
+  }
+
+  async run(bin, args) {
+    try {
+      const { stdout } = await execFileAsync(bin, args, {
+        maxBuffer: 256 * 1024 * 1024,
+        timeout: 120000
+      });
+      return stdout;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`未找到 ${bin}，请先安装 poppler`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 提取 PDF 文本和图片，返回与 Adobe 提取器相同的结构
+   * @param {string} filePath PDF 文件路径
+   * @returns {Promise<Object>} { document, elements, metadata }
+   */
+  async extract(filePath) {
+    try {
+      const xhtml = await this.run(this.pdftotextBin, ['-bbox-layout', '-enc', 'UTF-8', filePath, '-']);
+      const { pages, textElements } = this.parseBboxLayout(xhtml);
+      const imageElements = await this.extractImages(filePath);
+
+      // 按页合并，图片排在同页文本之后
+      const processedElements = [...textElements, ...imageElements]
+        .sort((a, b) => a.page - b.page);
+
+      return {
+        document: {
+          pageCount: Math.max(pages.length, 1),
+          title: this.readMetaTag(xhtml, 'title'),
+          author: this.readMetaTag(xhtml, 'Author')
+        },
+        elements: processedElements,
+        imageReferences: imageElements.map(el => ({
+          key: el.key,
+          path: undefined,
+          page: el.page,
+          bounds: el.bounds,
+          mimeType: 'image/png'
+        })),
+        tableReferences: [],
+        metadata: {
+          totalElements: processedElements.length,
+          textElements: processedElements.filter(e => e.type === 'text').length,
+          imageElements: processedElements.filter(e => e.type === 'image').length,
+          tableElements: processedElements.filter(e => e.type === 'table').length
+        }
+      };
+    } catch (err) {
+      console.error("本地提取失败:", err);
+      throw new Error(`处理失败: ${err.message}`);
+    }
+  }
+
+  /**
+   * 只读取文本层（pdftotext 纯文本输出），不导出图片，也不写缓存
+   * @param {string} filePath PDF 文件路径
+   * @returns {Promise<string>}
+   */
+  async extractText(filePath) {
+    return this.run(this.pdftotextBin, ['-enc', 'UTF-8', filePath, '-']);
+  }
+
+  /**
+   * 解析 pdftotext -bbox-layout 输出，每个 block 作为一个文本元素
+   * 坐标转换为与 Adobe 一致的左下角原点 [x0, y0, x1, y1]
+   */
+  parseBboxLayout(xhtml) {
+    const pages = [];
+    const textElements = [];
+    const pageRegex = /<page width="([\d.]+)" height="([\d.]+)">([\s\S]*?)<\/page>/g;
+    let pageMatch;
+
+    while ((pageMatch = pageRegex.exec(xhtml)) !== null) {
+      const pageHeight = parseFloat(pageMatch[2]);
+      const pageNumber = pages.length + 1;
+      pages.push({ width: parseFloat(pageMatch[1]), height: pageHeight });
+
+      const blockRegex = /<block xMin="([\d.]+)" yMin="([\d.]+)" xMax="([\d.]+)" yMax="([\d.]+)">([\s\S]*?)<\/block>/g;
+      let blockMatch;
+      while ((blockMatch = blockRegex.exec(pageMatch[3])) !== null) {
+        const [, xMin, yMin, xMax, yMax, body] = blockMatch;
+        const lines = [];
+        const lineHeights = [];
+        const lineRegex = /<line xMin="[\d.]+" yMin="([\d.]+)" xMax="[\d.]+" yMax="([\d.]+)">([\s\S]*?)<\/line>/g;
+        let lineMatch;
+
+        while ((lineMatch = lineRegex.exec(body)) !== null) {
+          const words = [...lineMatch[3].matchAll(/<word[^>]*>([\s\S]*?)<\/word>/g)]
+            .map(m => this.decodeEntities(m[1]));
+          if (words.length > 0) {
+            lines.push(words.join(' '));
+            lineHeights.push(parseFloat(lineMatch[2]) - parseFloat(lineMatch[1]));
+          }
+        }
+
+        const text = lines.join(' ').trim();
+        if (!text) continue;
+
+        textElements.push({
+          type: 'text',
+          text,
+          page: pageNumber,
+          bounds: [
+            parseFloat(xMin),
+            pageHeight - parseFloat(yMax),
+            parseFloat(xMax),
+            pageHeight - parseFloat(yMin)
+          ],
+          fontSize: lineHeights.length
+            ? Math.round(lineHeights.reduce((sum, h) => sum + h, 0) / lineHeights.length * 10) / 10
+            : undefined,
+          fontName: undefined,
+          style: undefined
+        });
+      }
+    }
+
+    return { pages, textElements };
+  }
+
+  /**
+   * 使用 pdfimages 导出嵌入图片并写入缓存
+   * pdfimages 不提供图片在页面上的位置，因此 bounds 为空
+   */
+  async extractImages(filePath) {
+    const listing = await this.run(this.pdfimagesBin, ['-list', filePath]);
+    const imageInfo = new Map();
+
+    // 跳过表头两行：page num type width height ...
+    for (const line of listing.split('\n').slice(2)) {
+      const cols = line.trim().split(/\s+/);
+      if (cols.length < 5 || cols[2] !== 'image') continue;
+      imageInfo.set(parseInt(cols[1], 10), {
+        page: parseInt(cols[0], 10),
+        width: parseInt(cols[3], 10),
+        height: parseInt(cols[4], 10)
+      });
+    }
+
+    const wanted = [...imageInfo.values()].some(info =>
+      info.width >= MIN_IMAGE_SIDE && info.height >= MIN_IMAGE_SIDE
+    );
+    if (!wanted) return [];
+
+    const tempDir = path.join(__dirname, '../../temp', `pdfimages-${uuidv4()}`);
+    await fs.ensureDir(tempDir);
+
+    try {
+      await this.run(this.pdfimagesBin, ['-png', filePath, path.join(tempDir, 'img')]);
+
+      const elements = [];
+      const files = (await fs.readdir(tempDir)).sort();
+      for (const file of files) {
+        // 文件名形如 img-000.png，编号与 -list 的 num 列一致
+        const match = file.match(/-(\d+)\.png$/);
+        const info = match && imageInfo.get(parseInt(match[1], 10));
+        if (!info || info.width < MIN_IMAGE_SIDE || info.height < MIN_IMAGE_SIDE) continue;
+
+        const imageKey = uuidv4();
+        const imageBuffer = await fs.readFile(path.join(tempDir, file));
+        await cacheService.saveImage(imageKey, imageBuffer, 'image/png');
+
+        elements.push({
+          type: 'image',
+          key: imageKey,
+          page: info.page,
+          bounds: undefined,
+          alt: ''
+        });
+      }
+      return elements;
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  readMetaTag(xhtml, name) {
+    if (name === 'title') {
+      const match = xhtml.match(/<title>([\s\S]*?)<\/title>/);
+      return match ? this.decodeEntities(match[1]).trim() : '';
+    }
+    const match = xhtml.match(new RegExp(`<meta name="${name}" content="([^"]*)"`));
+    return match ? this.decodeEntities(match[1]).trim() : '';
+  }
+
+  decodeEntities(str) {
+    return str
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 本地提取器不具备 OCR 能力
+   */
+  async ocr() {
+    throw new Error('本地提取器不支持 OCR，请配置 Adobe PDF Services');
+  }
+}
+
+module.exports = LocalExtractor;
@@ -0,0 +1,87 @@
+/**
+ * 轻量 JSON Schema 校验，只支持模型输出约定所需的子集：
+ * type（object / array / string / number / integer / boolean）、required、properties、
+ * additionalProperties、items、minLength、maxLength、minItems、maxItems、enum
+ */
+
+/**
+ * 校验数据
+ * @param {Object} schema JSON Schema
+ * @param {*} value 待校验的数据
+ * @param {string} [at] 当前路径，用于错误信息
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+function validate(schema, value, at = '$') {
+  const errors = [];
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const matches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : type === schema.type;
+    if (!matches) {
+      return [`${at} 应为 ${schema.type}，实际为 ${type}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} 应为 ${schema.enum.join(' / ')} 之一`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${at} 长度不能少于 ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} 长度不能超过 ${schema.maxLength}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} 至少需要 ${schema.minItems} 项`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} 最多 ${schema.maxItems} 项`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${at}.${name} 缺失`);
+    }
+    for (const [name, child] of Object.entries(value)) {
+      if (schema.properties && schema.properties[name]) {
+        errors.push(...validate(schema.properties[name], child, `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${name} 不是允许的字段`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 从模型回复中取出 JSON：兼容 ```json 代码块和前后的说明文字
+ * @param {string} text 模型回复
+ * @returns {*} 解析结果
+ * @throws {SyntaxError} 找不到可解析的 JSON 时
+ */
+function extractJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  try {
+    return JSON.parse(candidate.trim());
+  } catch (error) {
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.substring(start, end + 1));
+  }
+}
+
+module.exports = { validate, extractJSON };
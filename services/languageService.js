@@ -0,0 +1,101 @@
+/**
+ * 语言检测服务
+ * 根据文本样本判断 OCR 语言（返回 Adobe OCR 的 locale 值，如 zh-CN、ja-JP、de-DE）
+ */
+
+// 拉丁字母语言按高频虚词判断
+const STOPWORDS = {
+  'en-US': ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'are', 'this', 'we'],
+  'de-DE': ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'von', 'zu', 'ein', 'eine'],
+  'fr-FR': ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'que', 'pour', 'du', 'sur'],
+  'es-ES': ['el', 'la', 'los', 'las', 'y', 'que', 'en', 'es', 'una', 'por', 'con', 'para'],
+  'it-IT': ['il', 'la', 'che', 'di', 'e', 'è', 'per', 'una', 'sono', 'con', 'del', 'della'],
+  'pt-BR': ['o', 'a', 'os', 'as', 'que', 'de', 'em', 'um', 'uma', 'para', 'com', 'não'],
+  'nl-NL': ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'voor', 'met', 'niet'],
+  'sv-SE': ['och', 'att', 'det', 'som', 'är', 'för', 'med', 'på', 'av', 'en', 'inte', 'till'],
+  'da-DK': ['og', 'at', 'det', 'som', 'er', 'for', 'med', 'på', 'af', 'en', 'ikke', 'til'],
+  'pl-PL': ['i', 'w', 'na', 'się', 'nie', 'jest', 'że', 'do', 'z', 'to', 'oraz', 'przez'],
+  'cs-CZ': ['a', 'v', 'na', 'je', 'se', 'že', 'to', 'jako', 'pro', 'jsou', 'které', 'při'],
+  'tr-TR': ['ve', 'bir', 'bu', 'için', 'ile', 'olarak', 'da', 'de', 'olan', 'çok', 'daha', 'gibi'],
+  'fi-FI': ['ja', 'on', 'että', 'ei', 'se', 'ovat', 'tai', 'kun', 'mutta', 'myös', 'joka', 'sekä'],
+  'hu-HU': ['a', 'az', 'és', 'hogy', 'nem', 'is', 'egy', 'van', 'meg', 'ez', 'mint', 'csak'],
+  'ro-RO': ['și', 'în', 'de', 'la', 'cu', 'care', 'este', 'pe', 'din', 'pentru', 'un', 'o']
+};
+
+// 繁简体区分用的高频字
+const TRADITIONAL_CHARS = /[們這個國說為學與時會來對實驗圖表將從於網絡數據體點現]/g;
+const SIMPLIFIED_CHARS = /[们这个国说为学与时会来对实验图表将从于网络数据体点现]/g;
+
+class LanguageService {
+  /**
+   * 检测文本语言
+   * @param {string} text 文本样本
+   * @returns {{locale: string, confidence: number}|null} 样本过短时返回 null
+   */
+  detect(text) {
+    const sample = (text || '').slice(0, 20000);
+    const count = (pattern) => (sample.match(pattern) || []).length;
+
+    const han = count(/[一-鿿]/g);
+    const kana = count(/[぀-ヿ]/g);
+    const hangul = count(/[가-힯]/g);
+    const cyrillic = count(/[Ѐ-ӿ]/g);
+    const greek = count(/[Ͱ-Ͽ]/g);
+    const hebrew = count(/[֐-׿]/g);
+    const latin = count(/[A-Za-zÀ-ɏ]/g);
+    const total = han + kana + hangul + cyrillic + greek + hebrew + latin;
+
+    if (total < 20) return null;
+
+    const share = (n) => n / total;
+
+    // CJK 文字信息密度高，占比超过 20% 即认为是主体语言
+    if (share(hangul) > 0.2) return { locale: 'ko-KR', confidence: share(hangul) };
+    if (share(kana) > 0.05 && share(han + kana) > 0.2) return { locale: 'ja-JP', confidence: share(han + kana) };
+    if (share(han) > 0.2) {
+      const traditional = count(TRADITIONAL_CHARS);
+      const simplified = count(SIMPLIFIED_CHARS);
+      return {
+        locale: traditional > simplified ? 'zh-HK' : 'zh-CN',
+        confidence: share(han)
+      };
+    }
+    if (share(cyrillic) > 0.5) return { locale: this.detectCyrillic(sample), confidence: share(cyrillic) };
+    if (share(greek) > 0.5) return { locale: 'el-GR', confidence: share(greek) };
+    if (share(hebrew) > 0.5) return { locale: 'iw-IL', confidence: share(hebrew) };
+
+    return this.detectLatin(sample);
+  }
+
+  detectCyrillic(sample) {
+    if (/[ђћџљњ]/i.test(sample)) return 'sr-SR';
+    if (/[ѓќѕ]/i.test(sample)) return 'mk-MK';
+    if (/[іїєґ]/i.test(sample)) return 'uk-UA';
+    const hardSigns = (sample.match(/ъ/gi) || []).length;
+    const letters = (sample.match(/[Ѐ-ӿ]/g) || []).length;
+    // 保加利亚语中 ъ 是常用元音
+    if (letters > 0 && hardSigns / letters > 0.015) return 'bg-BG';
+    return 'ru-RU';
+  }
+
+  detectLatin(sample) {
+    const words = sample.toLowerCase().match(/[a-zà-ɏ]+/g) || [];
+    if (words.length === 0) return null;
+
+    const frequency = new Map();
+    for (const word of words) frequency.set(word, (frequency.get(word) || 0) + 1);
+
+    let best = { locale: 'en-US', score: 0 };
+    for (const [locale, stopwords] of Object.entries(STOPWORDS)) {
+      const score = stopwords.reduce((sum, word) => sum + (frequency.get(word) || 0), 0);
+      if (score > best.score) best = { locale, score };
+    }
+
+    return {
+      locale: best.locale,
+      confidence: Math.min(1, best.score / words.length * 3)
+    };
+  }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,239 @@
+/**
+ * 阅读顺序服务
+ * 双栏论文的提取结果经常左右栏交错，这里按元素 Bounds 和页面尺寸检测分栏并重排，
+ * 同时把页眉、页脚、页码和脚注标记出来（role: header / footer / footnote / body），
+ * 使它们不进入正文文本流
+ */
+
+// 页面上下边缘区域占页高的比例
+const EDGE_RATIO = 0.08;
+// 重复出现的页眉页脚可以稍微远离边缘
+const REPEATED_EDGE_RATIO = 0.12;
+// 脚注只出现在页面下部
+const FOOTNOTE_RATIO = 0.3;
+// 栏间空白的最小宽度（点）
+const MIN_GUTTER = 8;
+// 每栏内容累计高度占页高的最小比例
+const MIN_COLUMN_RATIO = 0.2;
+const PAGE_NUMBER = /^\s*(?:page\s*)?[-–—]?\s*(?:\d{1,4}|[ivxlc]{1,6})\s*[-–—]?\s*(?:(?:of|\/)\s*\d{1,4})?\s*$/i;
+const FOOTNOTE_MARKER = /^\s*(?:\d{1,2}|[*†‡§¶∗])\s*\S/;
+
+class LayoutService {
+  /**
+   * 重排元素并标记角色
+   * @param {Array<Object>} elements 元素列表（page 从 1 开始，bounds 原点在左下角）
+   * @param {Array<Object>} pageSizes 每页尺寸 [{ width, height }]
+   * @returns {{ elements: Array<Object>, multiColumnPages: Array<number> }}
+   */
+  orderElements(elements, pageSizes) {
+    const repeated = this.findRepeatedEdgeText(elements, pageSizes);
+    const byPage = new Map();
+    for (const element of elements) {
+      if (!byPage.has(element.page)) byPage.set(element.page, []);
+      byPage.get(element.page).push(element);
+    }
+
+    const ordered = [];
+    const multiColumnPages = [];
+    for (const [page, pageElements] of byPage) {
+      const size = pageSizes[page - 1];
+      if (!size) {
+        ordered.push(...pageElements.map(el => ({ ...el, role: el.role || 'body' })));
+        continue;
+      }
+
+      const { elements: pageOrdered, columns } = this.orderPage(pageElements, size, repeated);
+      if (columns > 1) multiColumnPages.push(page);
+      ordered.push(...pageOrdered);
+    }
+
+    return { elements: ordered, multiColumnPages };
+  }
+
+  /**
+   * 单页处理：标记角色 → 检测分栏 → 按栏重排正文
+   */
+  orderPage(pageElements, size, repeated) {
+    const sizes = pageElements.filter(el => el.type === 'text' && el.fontSize).map(el => el.fontSize);
+    const bodySize = sizes.length > 0 ? this.median(sizes) : null;
+    const flagged = pageElements.map(el => ({ ...el, role: this.classify(el, size, repeated, bodySize) }));
+    this.markFootnotes(flagged, size);
+
+    const body = flagged.filter(el => el.role === 'body' && this.hasBounds(el));
+    const gutters = this.findGutters(body, size);
+    // 只重排检测到分栏的页面，没有坐标的元素（如本地提取器的图片）保持原有相对顺序，排在正文之后；
+    // 单栏页面保持提取器给出的结构顺序，并排的图片、旁注等不按坐标打乱
+    const bodyOrdered = gutters.length > 0
+      ? [...this.orderBody(body, gutters), ...flagged.filter(el => el.role === 'body' && !this.hasBounds(el))]
+      : flagged.filter(el => el.role === 'body');
+    const byTop = (a, b) => b.bounds[3] - a.bounds[3];
+
+    return {
+      elements: [
+        ...flagged.filter(el => el.role === 'header').sort(byTop),
+        ...bodyOrdered,
+        ...flagged.filter(el => el.role === 'footnote').sort(byTop),
+        ...flagged.filter(el => el.role === 'footer').sort(byTop)
+      ],
+      columns: gutters.length + 1
+    };
+  }
+
+  hasBounds(element) {
+    return Array.isArray(element.bounds) && element.bounds.length === 4;
+  }
+
+  /**
+   * 根据位置和文本判断页眉 / 页脚：边缘区域中的页码、多页重复文本，或字号小于正文的短文本
+   */
+  classify(element, size, repeated, bodySize) {
+    if (element.type !== 'text' || !this.hasBounds(element)) return 'body';
+    // Adobe 结构路径中的脚注
+    if (/\/Footnote/i.test(element.path || '')) return 'footnote';
+
+    const [, y0, , y1] = element.bounds;
+    const nearTop = y0 >= size.height * (1 - REPEATED_EDGE_RATIO);
+    const nearBottom = y1 <= size.height * REPEATED_EDGE_RATIO;
+    if (!nearTop && !nearBottom) return 'body';
+
+    const text = (element.text || '').trim();
+    const atEdge = y0 >= size.height * (1 - EDGE_RATIO) || y1 <= size.height * EDGE_RATIO;
+    const smallFont = element.fontSize && bodySize && element.fontSize < bodySize;
+
+    if (repeated.has(this.edgeKey(text)) || PAGE_NUMBER.test(text) || (atEdge && smallFont && text.length <= 200)) {
+      return nearTop ? 'header' : 'footer';
+    }
+    return 'body';
+  }
+
+  /**
+   * 页面下部、字号小于正文、以编号或符号开头的段落视为脚注，其下方的小字号段落一并归入
+   */
+  markFootnotes(flagged, size) {
+    const body = flagged.filter(el => el.role === 'body' && el.type === 'text' && el.fontSize && this.hasBounds(el));
+    if (body.length < 3) return;
+
+    const bodySize = this.median(body.map(el => el.fontSize));
+    const small = el => el.fontSize && el.fontSize <= bodySize - 1;
+    const starts = body.filter(el =>
+      small(el) && el.bounds[3] <= size.height * FOOTNOTE_RATIO && FOOTNOTE_MARKER.test(el.text)
+    );
+    if (starts.length === 0) return;
+
+    const ceiling = Math.max(...starts.map(el => el.bounds[3]));
+    for (const el of body) {
+      if (small(el) && el.bounds[3] <= ceiling) el.role = 'footnote';
+    }
+  }
+
+  /**
+   * 统计出现在多页边缘区域的文本（数字归一化），例如期刊名、论文短标题
+   */
+  findRepeatedEdgeText(elements, pageSizes) {
+    const pagesByKey = new Map();
+    for (const el of elements) {
+      const size = pageSizes[el.page - 1];
+      if (!size || el.type !== 'text' || !el.text || !this.hasBounds(el)) continue;
+      const [, y0, , y1] = el.bounds;
+      if (y0 < size.height * (1 - REPEATED_EDGE_RATIO) && y1 > size.height * REPEATED_EDGE_RATIO) continue;
+
+      const key = this.edgeKey(el.text);
+      if (!key) continue;
+      if (!pagesByKey.has(key)) pagesByKey.set(key, new Set());
+      pagesByKey.get(key).add(el.page);
+    }
+
+    const pageCount = new Set(elements.map(el => el.page)).size;
+    const threshold = Math.min(3, pageCount);
+    const repeated = new Set();
+    if (pageCount < 2) return repeated;
+    for (const [key, pages] of pagesByKey) {
+      if (pages.size >= threshold) repeated.add(key);
+    }
+    return repeated;
+  }
+
+  edgeKey(text) {
+    return text.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * 在正文水平投影中寻找栏间空白，横跨整页的元素（标题、通栏图表）不参与统计
+   * @returns {Array<number>} 栏分隔线的 x 坐标
+   */
+  findGutters(body, size) {
+    const columnElements = body.filter(el => el.bounds[2] - el.bounds[0] < size.width * 0.6);
+    if (columnElements.length < 4) return [];
+
+    const intervals = columnElements
+      .map(el => [el.bounds[0], el.bounds[2]])
+      .sort((a, b) => a[0] - b[0]);
+
+    const gutters = [];
+    let reach = intervals[0][1];
+    for (const [x0, x1] of intervals.slice(1)) {
+      if (x0 - reach >= MIN_GUTTER) {
+        const center = (reach + x0) / 2;
+        // 只接受页面中间区域的空白，避免把页边距当作分栏
+        if (center > size.width * 0.2 && center < size.width * 0.8) {
+          gutters.push(center);
+        }
+      }
+      reach = Math.max(reach, x1);
+    }
+
+    // 每栏的内容都要占到一定高度，否则只是居中公式、短标题之间偶然的空白
+    const heights = new Array(gutters.length + 1).fill(0);
+    for (const el of columnElements) heights[this.columnOf(el, gutters)] += el.bounds[3] - el.bounds[1];
+    return heights.every(height => height >= size.height * MIN_COLUMN_RATIO) ? gutters : [];
+  }
+
+  columnOf(element, gutters) {
+    const center = (element.bounds[0] + element.bounds[2]) / 2;
+    return gutters.filter(x => center > x).length;
+  }
+
+  spansGutter(element, gutters) {
+    return gutters.some(x => element.bounds[0] < x - MIN_GUTTER / 2 && element.bounds[2] > x + MIN_GUTTER / 2);
+  }
+
+  /**
+   * 通栏元素把页面切成若干横向区块，区块内逐栏自上而下阅读
+   */
+  orderBody(body, gutters) {
+    const byTop = (a, b) => b.bounds[3] - a.bounds[3] || a.bounds[0] - b.bounds[0];
+    const spanning = body.filter(el => this.spansGutter(el, gutters)).sort(byTop);
+    const columnar = body.filter(el => !this.spansGutter(el, gutters));
+
+    const ordered = [];
+    let ceiling = Infinity;
+    for (const separator of [...spanning, null]) {
+      const floor = separator ? separator.bounds[3] : -Infinity;
+      const band = columnar.filter(el => {
+        const middle = (el.bounds[1] + el.bounds[3]) / 2;
+        return middle <= ceiling && middle > floor;
+      });
+
+      const columns = Array.from({ length: gutters.length + 1 }, () => []);
+      for (const el of band) columns[this.columnOf(el, gutters)].push(el);
+      for (const column of columns) ordered.push(...column.sort(byTop));
+
+      if (separator) {
+        ordered.push(separator);
+        ceiling = separator.bounds[1];
+      }
+    }
+
+    // 与通栏元素垂直重叠、未落入任何区块的元素，按位置追加
+    const placed = new Set(ordered);
+    ordered.push(...columnar.filter(el => !placed.has(el)).sort(byTop));
+    return ordered;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+}
+
+module.exports = new LayoutService();
@@ -0,0 +1,34 @@
+/**
+ * Markdown 转义：PDF 文本、图表标题和表格单元格中可能含有 HTML 标签和 Markdown 控制字符，
+ * 原样写出会被渲染器解释为标签、强调、链接或列表
+ */
+
+// 行内有特殊含义的字符：转义符、代码、强调、链接、删除线、表格分隔符、标题结束标记
+const INLINE_SPECIAL = /[\\`*_[\]~|#]/g;
+
+/**
+ * 转义行内文本：HTML 特殊字符转为实体，Markdown 控制字符加反斜杠，换行合并为空格
+ * @param {*} text 文本
+ * @returns {string}
+ */
+function escapeInline(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(INLINE_SPECIAL, '\\$&')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * 转义独立成段的文本：在行内转义的基础上，避免段首被解释为列表、分隔线（> 和 # 已由行内转义处理）
+ * @param {*} text 文本
+ * @returns {string}
+ */
+function escapeBlock(text) {
+  return escapeInline(text)
+    .replace(/^(\s*)([-+])(?=[\s-]|$)/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+module.exports = { escapeInline, escapeBlock };
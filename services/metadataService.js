@@ -0,0 +1,331 @@
+const { PDFName, PDFStream, PDFRawStream, PDFString, PDFHexString, decodePDFRawStream } = require('pdf-lib');
+const sectionService = require('./sectionService');
+
+/**
+ * 论文元数据服务
+ * 读取 PDF 内嵌的 Info 字典与 XMP 元数据，并扫描前几页文本识别 DOI、arXiv、ISBN、邮箱和机构，
+ * 每个字段在 sources 中标注来源（xmp / info / text），标题和作者不再依赖 LLM 猜测
+ */
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+const ARXIV_PATTERN = /arxiv(?:\.org\/abs\/|\s*:\s*)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?/i;
+const ISBN_PATTERN = /ISBN(?:-1[03])?\s*:?\s*((?:97[89][-\s]?)?(?:\d[-\s]?){9}[\dX])/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+// {alice, bob}@example.edu 形式的合并邮箱
+const GROUPED_EMAIL_PATTERN = /\{([^}]+)\}\s*@\s*([\w-]+(?:\.[\w-]+)*\.[a-z]{2,})/gi;
+const AFFILIATION_PATTERN = /\b(universit(?:y|ät|é|à|eit)|institut(?:e|o)?|college|school of|department|dept\.|laborator(?:y|ies)|lab\b|academy|research cent(?:er|re)|hospital|corporation|inc\.|ltd\.?)|大学|学院|研究所|研究院|实验室|公司|医院/i;
+const KEYWORDS_LINE = /^\s*(?:key\s*words?|index terms|关键词|关键字)\s*[—:：.\-–]*\s*(.+)$/im;
+// 常见的无效标题：办公软件生成的默认值、文件名
+const JUNK_TITLE = /^(untitled|microsoft (word|powerpoint)|title|document\d*|paper)\b|\.(docx?|pdf|tex|dvi|ps)$/i;
+const LATIN_NAME = /^[A-ZÀ-Þ][\p{L}'’.-]*(?:\s+(?:(?:van|von|de|der|da|di|del|la|le)\s+)?[A-ZÀ-Þ][\p{L}'’.-]*){1,3}$/u;
+const CJK_NAME = /^[一-龥]{2,4}$/;
+
+// 只扫描前两页，避免误把参考文献中的 DOI 当作本文的
+const SCAN_PAGES = 2;
+
+class MetadataService {
+  /**
+   * 汇总论文元数据
+   * @param {PDFDocument} pdfDoc pdf-lib 文档
+   * @param {Object} result 提取结果（elements、sections）
+   * @returns {Object} { title, authors, keywords, doi, arxivId, isbn, emails, affiliations, sources }
+   */
+  extract(pdfDoc, result = {}) {
+    const xmp = this.readXmp(pdfDoc);
+    const info = this.readInfo(pdfDoc);
+    const text = this.scanText(result.elements || [], result.sections || []);
+
+    const metadata = { sources: {} };
+    // 按来源优先级取第一个非空值
+    const pick = (field, empty, candidates) => {
+      metadata[field] = empty;
+      for (const [source, value] of candidates) {
+        if (Array.isArray(value) ? value.length > 0 : value) {
+          metadata[field] = value;
+          metadata.sources[field] = source;
+          return;
+        }
+      }
+    };
+
+    pick('title', null, [['xmp', xmp.title], ['info', info.title], ['text', text.title]]);
+    pick('authors', [], [['xmp', xmp.authors], ['info', info.authors], ['text', text.authors]]);
+    pick('keywords', [], [['xmp', xmp.keywords], ['info', info.keywords], ['text', text.keywords]]);
+    pick('doi', null, [['xmp', xmp.doi], ['info', info.doi], ['text', text.doi]]);
+    pick('arxivId', null, [['text', text.arxivId]]);
+    pick('isbn', null, [['text', text.isbn]]);
+    pick('emails', [], [['text', text.emails]]);
+    pick('affiliations', [], [['text', text.affiliations]]);
+
+    return metadata;
+  }
+
+  /**
+   * 读取 Info 字典
+   * @param {PDFDocument} pdfDoc
+   * @returns {Object} { title, authors, keywords, doi }
+   */
+  readInfo(pdfDoc) {
+    try {
+      const keywords = pdfDoc.getKeywords();
+      // 部分出版社会在 Info 中写入自定义的 doi 字段
+      const doi = this.decodeText(pdfDoc.getInfoDict().get(PDFName.of('doi')));
+
+      return {
+        title: this.cleanTitle(pdfDoc.getTitle()),
+        authors: this.splitAuthors(pdfDoc.getAuthor()),
+        keywords: this.splitKeywords(keywords),
+        doi: this.matchDoi(doi)
+      };
+    } catch (error) {
+      console.warn('[MetadataService] 读取 Info 字典失败:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 读取目录中的 XMP 元数据流
+   * @param {PDFDocument} pdfDoc
+   * @returns {Object} { title, authors, keywords, doi }
+   */
+  readXmp(pdfDoc) {
+    try {
+      const stream = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+      if (!stream) return {};
+
+      const bytes = stream instanceof PDFRawStream
+        ? decodePDFRawStream(stream).decode()
+        : stream.getContents();
+      const xml = Buffer.from(bytes).toString('utf8');
+
+      const keywords = this.xmpValues(xml, 'pdf:Keywords').join(', ');
+      return {
+        title: this.cleanTitle(this.xmpValues(xml, 'dc:title')[0]),
+        authors: this.xmpValues(xml, 'dc:creator').flatMap(name => this.splitAuthors(name)),
+        keywords: keywords ? this.splitKeywords(keywords) : this.xmpValues(xml, 'dc:subject'),
+        doi: this.matchDoi([
+          ...this.xmpValues(xml, 'prism:doi'),
+          ...this.xmpValues(xml, 'pdfx:doi'),
+          ...this.xmpValues(xml, 'dc:identifier')
+        ].join(' '))
+      };
+    } catch (error) {
+      console.warn('[MetadataService] 读取 XMP 失败:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 读取 XMP 属性，兼容元素形式（含 rdf:Alt/Seq/Bag 列表）和属性形式
+   * @param {string} xml XMP 文本
+   * @param {string} name 属性名，如 dc:title
+   * @returns {Array<string>}
+   */
+  xmpValues(xml, name) {
+    const escaped = name.replace(':', '\\:');
+    const element = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`));
+    if (element) {
+      const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(m => m[1]);
+      return (items.length > 0 ? items : [element[1]])
+        .map(value => this.decodeXml(value).trim())
+        .filter(Boolean);
+    }
+
+    const attribute = xml.match(new RegExp(`\\s${escaped}="([^"]*)"`));
+    return attribute && attribute[1].trim() ? [this.decodeXml(attribute[1]).trim()] : [];
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/<[^>]+>/g, '')
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  decodeText(value) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      return value.decodeText();
+    }
+    return undefined;
+  }
+
+  /**
+   * 从前几页文本识别标识符、标题、作者和机构
+   * @param {Array<Object>} elements 元素列表
+   * @param {Array<Object>} sections 章节树
+   * @returns {Object}
+   */
+  scanText(elements, sections) {
+    const firstPage = Math.min(...elements.map(el => el.page).filter(Number.isInteger));
+    const scanned = elements.filter(el =>
+      el.type === 'text' && el.text && el.page < firstPage + SCAN_PAGES
+    );
+    const text = scanned.map(el => el.text).join('\n');
+
+    // 首页摘要（或引言）之前的内容；机构行常以编号开头，会被章节树误判为标题，因此不直接用 front 章节
+    const bodyStart = ['abstract', 'keywords', 'introduction']
+      .map(role => sectionService.findByRole(sections, role))
+      .filter(Boolean)
+      .reduce((min, section) => Math.min(min, section.elementIndex), elements.length);
+    const frontElements = elements
+      .slice(0, bodyStart)
+      .filter(el => el.type === 'text' && el.text && el.page === firstPage)
+      .filter(el => el.role !== 'header' && el.role !== 'footer');
+
+    const emails = this.findEmails(text);
+    const { title, titleIndex } = this.findTitle(frontElements);
+
+    const abstract = sectionService.getSectionText(sectionService.findByRole(sections, 'abstract'));
+    const keywordSection = sectionService.getSectionText(sectionService.findByRole(sections, 'keywords'));
+    const keywordsLine = [...frontElements.map(el => el.text), abstract]
+      .join('\n')
+      .match(KEYWORDS_LINE);
+
+    return {
+      title,
+      authors: this.findAuthors(frontElements.slice(titleIndex + 1)),
+      keywords: this.splitKeywords(keywordSection || (keywordsLine && keywordsLine[1])),
+      doi: this.matchDoi(text),
+      arxivId: this.matchArxiv(text),
+      isbn: this.findIsbn(text),
+      emails,
+      affiliations: this.findAffiliations(frontElements)
+    };
+  }
+
+  /**
+   * 首页前置内容中字号最大的文本作为标题；没有字号信息时取第一段合适长度的文本
+   */
+  findTitle(frontElements) {
+    const candidates = frontElements
+      .map((el, index) => ({ el, index }))
+      .filter(({ el }) => el.page === frontElements[0].page)
+      .filter(({ el }) => {
+        const text = el.text.trim();
+        return text.length >= 8 && text.length <= 300 &&
+          !text.includes('@') && !DOI_PATTERN.test(text) && !ARXIV_PATTERN.test(text);
+      });
+    if (candidates.length === 0) return { title: null, titleIndex: -1 };
+
+    const withSize = candidates.filter(({ el }) => el.fontSize);
+    const best = withSize.length > 0
+      ? withSize.reduce((a, b) => (b.el.fontSize > a.el.fontSize ? b : a))
+      : candidates[0];
+
+    return { title: this.cleanTitle(best.el.text), titleIndex: best.index };
+  }
+
+  /**
+   * 标题之后、机构和摘要之前的作者行
+   */
+  findAuthors(elements) {
+    const authors = [];
+    for (const el of elements.slice(0, 6)) {
+      const text = el.text.replace(EMAIL_PATTERN, '').replace(GROUPED_EMAIL_PATTERN, '').trim();
+      if (/^\s*(abstract|摘\s*要)/i.test(text)) break;
+      if (AFFILIATION_PATTERN.test(text)) {
+        if (authors.length > 0) break;
+        continue;
+      }
+
+      const names = this.splitAuthors(text);
+      const valid = names.filter(name => LATIN_NAME.test(name) || CJK_NAME.test(name));
+      if (valid.length > 0 && valid.length >= names.length / 2) {
+        authors.push(...valid);
+      } else if (authors.length > 0) {
+        break;
+      }
+    }
+    return [...new Set(authors)];
+  }
+
+  findAffiliations(frontElements) {
+    const affiliations = frontElements
+      .flatMap(el => el.text.split('\n'))
+      .map(line => line
+        .replace(EMAIL_PATTERN, '')
+        .replace(GROUPED_EMAIL_PATTERN, '')
+        .replace(/^[\s\d*†‡§¶,]+/, '')
+        .replace(/[\s,;]+$/, '')
+        .trim())
+      .filter(line => line.length <= 200 && AFFILIATION_PATTERN.test(line) && !/^(abstract|摘\s*要)/i.test(line));
+    return [...new Set(affiliations)].slice(0, 10);
+  }
+
+  findEmails(text) {
+    const emails = [];
+    for (const match of text.matchAll(GROUPED_EMAIL_PATTERN)) {
+      for (const user of match[1].split(/[,|]/)) {
+        if (user.trim()) emails.push(`${user.trim()}@${match[2]}`);
+      }
+    }
+    const rest = text.replace(GROUPED_EMAIL_PATTERN, '');
+    emails.push(...(rest.match(EMAIL_PATTERN) || []));
+    return [...new Set(emails.map(email => email.toLowerCase()))];
+  }
+
+  findIsbn(text) {
+    for (const match of text.matchAll(ISBN_PATTERN)) {
+      const digits = match[1].replace(/[-\s]/g, '');
+      if (this.validIsbn(digits)) return digits;
+    }
+    return null;
+  }
+
+  validIsbn(digits) {
+    if (digits.length === 10) {
+      const sum = digits.split('').reduce((acc, c, i) => acc + (c === 'X' ? 10 : Number(c)) * (10 - i), 0);
+      return sum % 11 === 0;
+    }
+    if (digits.length === 13 && !digits.includes('X')) {
+      const sum = digits.split('').reduce((acc, c, i) => acc + Number(c) * (i % 2 === 0 ? 1 : 3), 0);
+      return sum % 10 === 0;
+    }
+    return false;
+  }
+
+  matchDoi(text) {
+    const match = text && text.match(DOI_PATTERN);
+    return match ? match[1].replace(/[.,;)\]]+$/, '') : null;
+  }
+
+  matchArxiv(text) {
+    const match = text && text.match(ARXIV_PATTERN);
+    return match ? match[1] + (match[2] || '') : null;
+  }
+
+  cleanTitle(title) {
+    const cleaned = (title || '').replace(/\s+/g, ' ').trim();
+    if (cleaned.length < 4 || JUNK_TITLE.test(cleaned)) return null;
+    return cleaned;
+  }
+
+  /**
+   * 拆分作者字符串："A; B"、"A, B and C"、"张三，李四"
+   * @param {string} value
+   * @returns {Array<string>}
+   */
+  splitAuthors(value) {
+    if (!value) return [];
+    const separator = value.includes(';') ? /\s*;\s*/ : /\s*(?:,\s*and\s+|\band\b|&|,|，|、)\s*/;
+    return value
+      .split(separator)
+      .map(name => name.replace(/[\d*†‡§¶∗]+/g, '').replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  splitKeywords(value) {
+    if (!value) return [];
+    return [...new Set(value
+      .split(/\s*[,;，；、·•]\s*/)
+      .map(keyword => keyword.replace(/[.。]$/, '').trim())
+      .filter(keyword => keyword.length > 0 && keyword.length <= 80))];
+  }
+}
+
+module.exports = new MetadataService();
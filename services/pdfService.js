@@ -1,369 +1,769 @@
-const {
-  ServicePrincipalCredentials,
-  PDFServices,
-  MimeType,
-  ExtractPDFParams,
-  ExtractElementType,
-  ExtractPDFJob,
-  ExtractPDFResult,
-  ExtractRenditionsElementType,
-  OCRJob,
-  OCRParams,
-  OCRSupportedLocale,
-  OCRSupportedType,
-  OCRResult,
-  TableStructureType,
-  SDKError,
-  ServiceUsageError,
-  ServiceApiError
-} = require("@adobe/pdfservices-node-sdk");
 const fs = require("fs-extra");
 const path = require("path");
-const AdmZip = require("adm-zip");
 const { v4: uuidv4 } = require("uuid");
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFDict, PDFName, PDFStream } = require('pdf-lib');
+const sharp = require('sharp');
 const cacheService = require("./cacheService");
+const sectionService = require("./sectionService");
+const referenceService = require("./referenceService");
+const captionService = require("./captionService");
+const languageService = require("./languageService");
+const metadataService = require("./metadataService");
+const layoutService = require("./layoutService");
+const renderService = require("./renderService");
+const { mapWithConcurrency } = require("./concurrency");
+const AdobeExtractor = require("./extractors/adobeExtractor");
+const LocalExtractor = require("./extractors/localExtractor");
 
 class PDFService {
   constructor() {
-    // 验证环境变量
-    if (!process.env.PDF_SERVICES_CLIENT_ID || !process.env.PDF_SERVICES_CLIENT_SECRET) {
-      throw new Error('请设置 PDF_SERVICES_CLIENT_ID 和 PDF_SERVICES_CLIENT_SECRET 环境变量');
+    // 注册提取器，每个提取器实现 extract(filePath, options) 和 ocr(filePath, options)
+    this.providers = {};
+    this.registerProvider(new AdobeExtractor());
+    this.registerProvider(new LocalExtractor());
+
+    // 默认提取器：环境变量优先，否则有 Adobe 凭据时使用 Adobe，没有则回退到本地
+    this.defaultProvider = process.env.PDF_EXTRACT_PROVIDER ||
+      (this.providers.adobe.isAvailable() ? 'adobe' : 'local');
+
+    if (!this.providers.adobe.isAvailable()) {
+      console.warn('⚠️ 未设置 PDF_SERVICES_CLIENT_ID / PDF_SERVICES_CLIENT_SECRET，Adobe 提取不可用');
+    }
+    if (!this.providers.local.isAvailable()) {
+      console.warn('⚠️ 未找到 pdftotext / pdfimages（poppler），本地提取不可用');
     }
+    console.log(`[PDFService] 默认提取器: ${this.defaultProvider}`);
+  }
 
-    const credentials = new ServicePrincipalCredentials({
-      clientId: process.env.PDF_SERVICES_CLIENT_ID,
-      clientSecret: process.env.PDF_SERVICES_CLIENT_SECRET
-    });
+  /**
+   * 注册提取器
+   * @param {Object} provider 提取器实例，需提供 name、isAvailable、extract、ocr
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
 
-    this.pdfServices = new PDFServices({ credentials });
+  /**
+   * 根据名称获取提取器，未指定时使用默认提取器
+   * @param {string} [name] 提取器名称
+   * @returns {Object} 提取器实例
+   */
+  getProvider(name) {
+    const providerName = name || this.defaultProvider;
+    const provider = this.providers[providerName];
+    if (!provider) {
+      throw new Error(`未知的提取器: ${providerName}，可选: ${Object.keys(this.providers).join(', ')}`);
+    }
+    return provider;
+  }
+
+  /**
+   * 列出已注册的提取器及其可用状态
+   * @returns {Array<Object>}
+   */
+  listProviders() {
+    return Object.values(this.providers).map(provider => ({
+      name: provider.name,
+      available: provider.isAvailable(),
+      default: provider.name === this.defaultProvider
+    }));
   }
 
-  async image_ocr_image(imageBytes) {
-    // 创建PDF文档
+  /**
+   * 把多张照片合成为多页 PDF，每张图片一页
+   * @param {Array<Object>} images [{ buffer, mimeType }]
+   * @returns {Promise<string>} 临时 PDF 路径
+   */
+  async imagesToPDF(images) {
     const pdfDoc = await PDFDocument.create();
-    // 根据图片格式嵌入图片
-    const ext = path.extname(imagePath).toLowerCase();
-    let image;
-    
-    if (ext === '.png') {
-      image = await pdfDoc.embedPng(imageBytes);
-    } else if (ext === '.jpg' || ext === '.jpeg') {
-      image = await pdfDoc.embedJpg(imageBytes);
-    } else if (ext === '.gif') {
-      // 注意：pdf-lib不支持直接嵌入GIF，可以转换为PNG
-      const pngBuffer = await sharp(imageBytes).png().toBuffer();
-      image = await pdfDoc.embedPng(pngBuffer);
-    } else {
-      // 其他格式尝试用sharp转换后嵌入
-      const pngBuffer = await sharp(imageBytes).png().toBuffer();
-      image = await pdfDoc.embedPng(pngBuffer);
-    }
-    
-    // 创建与图片相同尺寸的页面
-    const page = pdfDoc.addPage([image.width, image.height]);
-    
-    // 绘制图片到页面
-    page.drawImage(image, {
-      x: 0,
-      y: 0,
-      width: image.width,
-      height: image.height,
-    });
-    
-    // 保存PDF
-    const pdfBytes = await pdfDoc.save();
-    await fsp.writeFile(outputPdfPath, pdfBytes);
-
-    const ocrPDFRet = await this.ocrPDF(outputPdfPath);
-    const ocrPDFPath = ocrPDFRet.ocrPdfPath;
-
-    const outputId = uuidv4();
-    const outputDir = path.join('outputs', outputId);
-    
-    // 创建输出目录
-    await fsp.mkdir(outputDir, { recursive: true });
-    
-    // 配置pdf2pic
-    const options = {
-      density: 150,           // 输出分辨率
-      saveFilename: "page",   // 文件名前缀
-      savePath: outputDir,    // 输出目录
-      format: "png",          // 输出格式
-      width: 1240,            // 宽度
-      height: 1754            // 高度
-    };
-    
-    // Windows环境特殊处理
-    let pdf2pic;
-    try {
-      // 尝试直接引入pdf2pic
-      pdf2pic = require('pdf2pic');
-    } catch (e) {
-      // 如果失败，尝试使用pdf2pic的替代方案
-      console.warn('使用pdf2pic的替代方案');
-      const { fromPath } = require('pdf2pic');
-      pdf2pic = { fromPath };
-    }
-    
-    const convert = pdf2pic.fromPath(ocrPDFPath, options);
-    
-    // 转换所有页面
-    const imageOutput = null;
-    try {
-      const result = await convert(1, true);
-      imageOutput = {
-        filename: result.name,
-        path: `/outputs/${outputId}/${result.name}`,
-        fullPath: result.path
-      };
-    } catch (pageError) {
-      console.error(`OCR后的PDF转换失败:`, pageError);
+
+    for (const [index, { buffer, mimeType }] of images.entries()) {
+      let pipeline;
+      let metadata;
+      try {
+        // 按 EXIF 方向旋转，手机照片常带方向标记
+        pipeline = sharp(buffer).rotate();
+        metadata = await sharp(buffer).metadata();
+      } catch (error) {
+        throw this.badRequest(`第 ${index + 1} 张图片无法解析: ${error.message}`);
+      }
+
+      // pdf-lib 只能嵌入 PNG 和 JPEG，其余格式（WebP、HEIC 等）先转换为 JPEG
+      let image;
+      try {
+        if (mimeType === 'image/png') {
+          image = await pdfDoc.embedPng(await pipeline.png().toBuffer());
+        } else {
+          image = await pdfDoc.embedJpg(await pipeline.jpeg({ quality: 92 }).toBuffer());
+        }
+      } catch (error) {
+        const hint = /hei[cf]/i.test(mimeType)
+          ? '，当前 sharp 构建可能不支持 HEVC 编码的 HEIC，请转换为 JPEG 后上传'
+          : '';
+        throw this.badRequest(`第 ${index + 1} 张图片转换失败: ${error.message}${hint}`);
+      }
+
+      // 按图片 DPI 计算页面尺寸（点），没有 DPI 信息时按 200 DPI 处理
+      const dpi = metadata.density && metadata.density > 72 ? metadata.density : 200;
+      const width = image.width * 72 / dpi;
+      const height = image.height * 72 / dpi;
+      const page = pdfDoc.addPage([width, height]);
+      page.drawImage(image, { x: 0, y: 0, width, height });
     }
 
-    return imageOutput;
+    const pdfPath = path.join(__dirname, '../temp', `images-${uuidv4()}.pdf`);
+    await fs.ensureDir(path.dirname(pdfPath));
+    await fs.writeFile(pdfPath, await pdfDoc.save());
+    return pdfPath;
   }
 
-  async extractPDF(filePath) {
-    let readStream;
+  /**
+   * OCR 纸质论文、海报的照片
+   * @param {Array<Object>} images [{ buffer, mimeType }]
+   * @param {Object} options 同 ocrPDF
+   * @returns {Promise<Object>} ocrPDF 的结果
+   */
+  async ocrImages(images, options = {}) {
+    const pdfPath = await this.imagesToPDF(images);
     try {
-      // 上传 PDF 文件
-      readStream = fs.createReadStream(filePath);
-      const inputAsset = await this.pdfServices.upload({
-        readStream,
-        mimeType: MimeType.PDF
-      });
+      return await this.ocrPDF(pdfPath, options);
+    } finally {
+      await fs.remove(pdfPath);
+    }
+  }
 
-      // 创建提取参数
-      const params = new ExtractPDFParams({
-        elementsToExtract: [ExtractElementType.TEXT, ExtractElementType.TABLES],
-        elementsToExtractRenditions: [ExtractRenditionsElementType.FIGURES, ExtractRenditionsElementType.TABLES],
-        getStylingInfo: true,
-        addCharInfo: true,
-        tableStructureType: TableStructureType.CSV
-      });
+  /**
+   * 解析页码范围，例如 "1-5,9" -> [1, 2, 3, 4, 5, 9]
+   * @param {string|Array<number>} spec 页码范围
+   * @param {number} pageCount 文档总页数
+   * @returns {Array<number>} 升序去重的页码（从 1 开始）
+   */
+  parsePageRanges(spec, pageCount) {
+    const parts = Array.isArray(spec) ? spec.map(String) : String(spec).split(',');
+    const pages = new Set();
 
-      // 创建并提交任务
-      const job = new ExtractPDFJob({ inputAsset, params });
-      const pollingURL = await this.pdfServices.submit({ job });
-      
-      const pdfServicesResponse = await this.pdfServices.getJobResult({
-        pollingURL,
-        resultType: ExtractPDFResult
-      });
+    for (const part of parts) {
+      const text = part.trim();
+      if (!text) continue;
 
-      // 获取结果
-      const resultAsset = pdfServicesResponse.result.resource;
-      const streamAsset = await this.pdfServices.getContent({ asset: resultAsset });
-
-      // 保存 ZIP 文件
-      const tempZipPath = path.join(__dirname, '../temp', `extract-${uuidv4()}.zip`);
-      await fs.ensureDir(path.dirname(tempZipPath));
-      
-      const writeStream = fs.createWriteStream(tempZipPath);
-      await new Promise((resolve, reject) => {
-        streamAsset.readStream.pipe(writeStream)
-          .on('finish', resolve)
-          .on('error', reject);
-      });
+      const match = text.match(/^(\d+)\s*(?:-\s*(\d*))?$/);
+      if (!match) {
+        throw this.badRequest(`无效的页码范围: ${text}`);
+      }
 
-      // 解压并处理内容
-      const result = await this.processExtractResult(tempZipPath);
-      
-      // 清理临时文件
-      await fs.unlink(tempZipPath);
-      
-      return result;
-      
-    } catch (err) {
-      this.handleError(err);
-    } finally {
-      readStream?.destroy();
-    }
-  }
-
-  async processExtractResult(zipPath) {
-    const zip = new AdmZip(zipPath);
-    const zipEntries = zip.getEntries();
-    
-    // 查找 structuredData.json
-    const dataEntry = zipEntries.find(entry => entry.entryName === 'structuredData.json');
-    if (!dataEntry) {
-      throw new Error('未找到 structuredData.json');
-    }
-
-    // 解析 JSON 数据
-    const structuredData = JSON.parse(dataEntry.getData().toString('utf8'));
-    
-    // 处理元素，将图片和表格替换为缓存键
-    const processedElements = [];
-    const imageReferences = [];
-    const tableReferences = [];
-
-    for (const element of structuredData.elements) {
-      if (element.filePaths) {
-        const filePath = element.filePaths[0];
-        const entry = zipEntries.find(e => e.entryName === filePath);
-        
-        if (entry && filePath.includes('figures')) {
-          // 处理图片
-          const imageKey = uuidv4();
-          const imageBuffer = entry.getData();
-          const imagePath = await cacheService.saveImage(imageKey, imageBuffer);
-          
-          imageReferences.push({
-            key: imageKey,
-            path: element.Path,
-            page: element.Page?.[0] || 1,
-            bounds: element.Bounds,
-            mimeType: element.MimeType || 'image/png'
-          });
-          
-          processedElements.push({
-            type: 'image',
-            key: imageKey,
-            page: element.Page?.[0] || 1,
-            bounds: element.Bounds,
-            alt: element.Alt || ''
-          });
-          
-        } else if (entry && filePath.includes('tables')) {
-          // 处理表格
-          const tableKey = uuidv4();
-          const tableBuffer = entry.getData();
-          const isCSV = element.Path.endsWith('.csv');
-          const tablePath = await cacheService.saveTable(tableKey, tableBuffer, isCSV);
-          
-          tableReferences.push({
-            key: tableKey,
-            path: element.Path,
-            page: element.Page?.[0] || 1,
-            bounds: element.Bounds,
-            format: isCSV ? 'csv' : 'xlsx'
-          });
-          
-          processedElements.push({
-            type: 'table',
-            key: tableKey,
-            page: element.Page?.[0] || 1,
-            bounds: element.Bounds,
-            format: isCSV ? 'csv' : 'xlsx',
-            rowCount: element.RowCount,
-            columnCount: element.ColumnCount
-          });
-        } else {
-          // 处理文本
-          processedElements.push({
-            type: 'text',
-            text: element.Text || '',
-            page: element.Page?.[0] || 1,
-            bounds: element.Bounds,
-            fontSize: element.FontSize?.[0],
-            fontName: element.Font?.[0],
-            style: element.Style?.[0]
-          });
-        }
-      } else if (element.Text) {
-        // 纯文本元素
-        processedElements.push({
-          type: 'text',
-          text: element.Text,
-          page: element.Page?.[0] || 1,
-          bounds: element.Bounds,
-          fontSize: element.FontSize?.[0],
-          fontName: element.Font?.[0],
-          style: element.Style?.[0]
-        });
+      const start = parseInt(match[1], 10);
+      // "7-" 表示到最后一页
+      const end = match[2] === undefined ? start : (match[2] ? parseInt(match[2], 10) : pageCount);
+      if (start < 1 || end < start || end > pageCount) {
+        throw this.badRequest(`页码范围 ${text} 超出文档页数 (1-${pageCount})`);
       }
+      for (let page = start; page <= end; page++) pages.add(page);
     }
 
+    if (pages.size === 0) {
+      throw this.badRequest('页码范围为空');
+    }
+    return [...pages].sort((a, b) => a - b);
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * 按页码范围用 pdf-lib 切出子文档
+   * @param {string} filePath PDF 文件路径
+   * @param {string|Array<number>} [spec] 页码范围，为空时不切分
+   * @returns {Promise<Object>} { filePath, pages, pageCount, cleanup }
+   */
+  async selectPages(filePath, spec) {
+    const noop = async () => {};
+    if (!this.hasPageSpec(spec)) {
+      return { filePath, pages: null, pageCount: null, cleanup: noop };
+    }
+
+    const sourceDoc = await this.loadDocument(filePath);
+    const pageCount = sourceDoc.getPageCount();
+    const pages = this.parsePageRanges(spec, pageCount);
+
+    if (pages.length === pageCount) {
+      return { filePath, pages: null, pageCount, cleanup: noop };
+    }
+
+    const subPath = await this.writeSubDocument(sourceDoc, pages);
+    return {
+      filePath: subPath,
+      pages,
+      pageCount,
+      cleanup: () => fs.remove(subPath)
+    };
+  }
+
+  hasPageSpec(spec) {
+    return Boolean(spec) && !(Array.isArray(spec) && spec.length === 0);
+  }
+
+  async loadDocument(filePath) {
+    return PDFDocument.load(await fs.readFile(filePath), { ignoreEncryption: true });
+  }
+
+  /**
+   * 把指定页复制为临时子文档
+   * @param {PDFDocument} sourceDoc 原文档
+   * @param {Array<number>} pages 页码（从 1 开始）
+   * @returns {Promise<string>} 子文档路径
+   */
+  async writeSubDocument(sourceDoc, pages) {
+    const subDoc = await PDFDocument.create();
+    const copied = await subDoc.copyPages(sourceDoc, pages.map(page => page - 1));
+    copied.forEach(page => subDoc.addPage(page));
+
+    const subPath = path.join(__dirname, '../temp', `pages-${uuidv4()}.pdf`);
+    await fs.ensureDir(path.dirname(subPath));
+    await fs.writeFile(subPath, await subDoc.save());
+    return subPath;
+  }
+
+  /**
+   * 把子文档中的页码映射回原文档页码
+   * @param {Object} result 提取结果（原地修改）
+   * @param {Array<number>} pageMap 子文档第 i 页对应原文档第 pageMap[i - 1] 页
+   */
+  remapPages(result, pageMap) {
+    const mapPage = (page) => pageMap[(page || 1) - 1] || page;
+
+    for (const item of [
+      ...(result.elements || []),
+      ...(result.imageReferences || []),
+      ...(result.tableReferences || [])
+    ]) {
+      item.page = mapPage(item.page);
+    }
+  }
+
+  /**
+   * 规划提取分块：结合页码范围和提取器的页数、文件大小限制
+   * @param {string} filePath PDF 文件路径
+   * @param {string|Array<number>} [spec] 页码范围
+   * @param {Object} [limits] 提取器限制 { maxPages, maxBytes }
+   * @returns {Promise<Object>} { sourceDoc, pageCount, pages, chunks }，chunks 中 null 表示整份文件直接提取
+   */
+  async planChunks(filePath, spec, limits = {}) {
+    const maxPages = parseInt(process.env.PDF_CHUNK_MAX_PAGES, 10) || limits.maxPages || Infinity;
+    const maxBytes = limits.maxBytes || Infinity;
+    const hasSpec = this.hasPageSpec(spec);
+    const { size } = await fs.stat(filePath);
+
+    if (!hasSpec && maxPages === Infinity && size <= maxBytes) {
+      return { sourceDoc: null, pageCount: null, pages: null, chunks: [null] };
+    }
+
+    const sourceDoc = await this.loadDocument(filePath);
+    const pageCount = sourceDoc.getPageCount();
+    const pages = hasSpec
+      ? this.parsePageRanges(spec, pageCount)
+      : Array.from({ length: pageCount }, (_, i) => i + 1);
+
+    // 按平均每页大小估算单块页数，留 10% 余量
+    const pagesByBytes = maxBytes === Infinity
+      ? Infinity
+      : Math.max(1, Math.floor(maxBytes * 0.9 / (size / pageCount)));
+    const chunkSize = Math.min(maxPages, pagesByBytes);
+
+    if (pages.length === pageCount && pageCount <= chunkSize && size <= maxBytes) {
+      return { sourceDoc: null, pageCount, pages: null, chunks: [null] };
+    }
+
+    const chunks = [];
+    for (let i = 0; i < pages.length; i += chunkSize) {
+      chunks.push(pages.slice(i, i + chunkSize));
+    }
+    return { sourceDoc, pageCount, pages: hasSpec ? pages : null, chunks };
+  }
+
+  /**
+   * 提取单个分块，并把页码映射回原文档
+   */
+  async extractChunk(provider, filePath, sourceDoc, pages, options) {
+    if (!pages) {
+      return provider.extract(filePath, options);
+    }
+
+    const subPath = await this.writeSubDocument(sourceDoc, pages);
+    try {
+      const part = await provider.extract(subPath, options);
+      this.remapPages(part, pages);
+      return part;
+    } finally {
+      await fs.remove(subPath);
+    }
+  }
+
+  /**
+   * 合并各分块的提取结果
+   * @param {Array<Object>} parts 分块结果（按页码顺序）
+   * @param {number} pageCount 原文档总页数
+   * @returns {Object} 合并后的结果
+   */
+  mergeResults(parts, pageCount) {
+    const elements = parts.flatMap(part => part.elements || []);
+    const first = parts.find(part => part.document?.title) || parts[0];
+
     return {
       document: {
-        pageCount: structuredData.elements.reduce((max, el) => 
-          Math.max(max, (el.Page && el.Page[0]) || 1), 1
-        ),
-        title: structuredData.document?.title || '',
-        author: structuredData.document?.author || ''
+        pageCount,
+        title: first.document?.title || '',
+        author: first.document?.author || ''
       },
-      elements: processedElements,
+      elements,
+      imageReferences: parts.flatMap(part => part.imageReferences || []),
+      tableReferences: parts.flatMap(part => part.tableReferences || []),
       metadata: {
-        totalElements: processedElements.length,
-        textElements: processedElements.filter(e => e.type === 'text').length,
-        imageElements: processedElements.filter(e => e.type === 'image').length,
-        tableElements: processedElements.filter(e => e.type === 'table').length
+        totalElements: elements.length,
+        textElements: elements.filter(e => e.type === 'text').length,
+        imageElements: elements.filter(e => e.type === 'image').length,
+        tableElements: elements.filter(e => e.type === 'table').length
       }
     };
   }
 
-  async ocrPDF(filePath, options = {}) {
-    let readStream;
+  /**
+   * 提取 PDF 文本、表格和图片
+   * 超出提取器页数或大小限制的文档会按页分块，以有限并发提取后合并；
+   * 文字过少的页面（扫描页）会自动 OCR 后替换回结果中
+   * @param {string} filePath PDF 文件路径
+   * @param {Object} options { provider, pages, onProgress, autoOcr, locale, type, figureDpi }
+   * @returns {Promise<Object>} { document, elements, sections, references, citations, metadata }
+   */
+  async extractPDF(filePath, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const figureDpi = options.figureDpi ? this.parseFigureDpi(options.figureDpi) : null;
+    const result = await this.extractRaw(provider, filePath, options);
+
+    if (this.shouldAutoOcr(options)) {
+      await this.applyOcrFallback(filePath, result, options);
+    }
+
+    if (figureDpi) {
+      await this.recropFigures(filePath, result, figureDpi);
+    }
+
+    if (process.env.PDF_READING_ORDER !== 'false') {
+      await this.applyReadingOrder(filePath, result);
+    }
+
+    // pageMap 由 ocrPDF 传入：OCR 前已经切分过页面。重裁剪和阅读顺序需要按 filePath 自身的页码取页面几何，
+    // 因此在它们之后才映射回原文档页码
+    if (options.pageMap) {
+      this.remapPages(result, options.pageMap);
+      if (result.metadata?.multiColumnPages) {
+        result.metadata.multiColumnPages = result.metadata.multiColumnPages.map(page => options.pageMap[page - 1] || page);
+      }
+      result.document = {
+        ...result.document,
+        pageCount: options.pageCount,
+        selectedPages: options.pageMap
+      };
+    }
+
+    this.finalizeResult(result, provider);
+    await this.applyDocumentMetadata(filePath, result);
+    return result;
+  }
+
+  /**
+   * 提取原始元素（分块、合并、页码映射），不做后处理
+   */
+  async extractRaw(provider, filePath, options = {}) {
+    const plan = await this.planChunks(filePath, options.pages, provider.limits);
+    const concurrency = parseInt(process.env.PDF_CHUNK_CONCURRENCY, 10) || 2;
+    const onProgress = options.onProgress || (() => {});
+    const chunkInfo = [];
+
+    const parts = await mapWithConcurrency(plan.chunks, concurrency, async (pages, index) => {
+      const progress = {
+        chunk: index + 1,
+        totalChunks: plan.chunks.length,
+        pages: pages ? [pages[0], pages[pages.length - 1]] : null
+      };
+      const startedAt = Date.now();
+      onProgress({ ...progress, status: 'started' });
+
+      const part = await this.extractChunk(provider, filePath, plan.sourceDoc, pages, options);
+
+      chunkInfo[index] = {
+        ...progress,
+        elements: part.elements.length,
+        durationMs: Date.now() - startedAt
+      };
+      onProgress({ ...progress, status: 'completed', elements: part.elements.length });
+      return part;
+    });
+
+    const result = parts.length === 1 ? parts[0] : this.mergeResults(parts, plan.pageCount);
+    if (plan.pageCount) {
+      result.document = { ...result.document, pageCount: plan.pageCount };
+    }
+    if (plan.pages) {
+      result.document.selectedPages = plan.pages;
+    }
+    if (parts.length > 1) {
+      result.metadata = { ...result.metadata, chunks: chunkInfo };
+    }
+
+    return result;
+  }
+
+  /**
+   * 校验图片重裁剪的 DPI
+   * @param {string|number} value
+   * @returns {number}
+   */
+  parseFigureDpi(value) {
+    const dpi = parseInt(value, 10);
+    if (!(dpi >= 72 && dpi <= renderService.maxDpi)) {
+      throw this.badRequest(`figureDpi 需在 72-${renderService.maxDpi} 之间`);
+    }
+    return dpi;
+  }
+
+  /**
+   * 按 Bounds 从高分辨率页面渲染中重新裁剪图片，保存为同一 key 的 hires 变体
+   * Adobe 的图片渲染分辨率较低且会丢失矢量图形，重裁剪可得到清晰的图片
+   * @param {string} filePath 原 PDF 路径
+   * @param {Object} result 提取结果（原地修改）
+   * @param {number} dpi 渲染分辨率
+   */
+  async recropFigures(filePath, result, figureDpi) {
+    const byPage = new Map();
+    for (const element of result.elements) {
+      if (element.type !== 'image' || !Array.isArray(element.bounds)) continue;
+      if (!byPage.has(element.page)) byPage.set(element.page, []);
+      byPage.get(element.page).push(element);
+    }
+
+    const references = new Map((result.imageReferences || []).map(ref => [ref.key, ref]));
+    let recropped = 0;
+    const renderContext = {};
+
+    // 每页只渲染一次，逐页处理以控制内存占用
+    for (const [page, elements] of byPage) {
+      try {
+        const crops = await renderService.cropRegions(filePath, page, elements, figureDpi, renderContext);
+        for (const [i, element] of elements.entries()) {
+          await cacheService.saveImageVariant(element.key, 'hires', crops[i], 'image/png');
+          element.variants = { ...element.variants, hires: { dpi: figureDpi } };
+          const ref = references.get(element.key);
+          if (ref) ref.variants = element.variants;
+          recropped++;
+        }
+      } catch (error) {
+        console.error(`[PDFService] 第 ${page} 页图片重裁剪失败:`, error.message);
+        result.metadata = { ...result.metadata, figureRecropError: error.message };
+      }
+    }
+
+    result.metadata = { ...result.metadata, hiresFigures: recropped, figureDpi };
+  }
+
+  /**
+   * 后处理：图表标题、章节树、参考文献
+   */
+  finalizeResult(result, provider) {
+    captionService.linkCaptions(result.elements, result);
+    result.sections = sectionService.buildSections(result.elements);
+
+    const { references, citations } = referenceService.parse(result.sections);
+    result.references = references;
+    result.citations = citations;
+    result.metadata = {
+      ...result.metadata,
+      totalElements: result.elements.length,
+      textElements: result.elements.filter(e => e.type === 'text').length,
+      imageElements: result.elements.filter(e => e.type === 'image').length,
+      tableElements: result.elements.filter(e => e.type === 'table').length,
+      provider: provider.name
+    };
+    return result;
+  }
+
+  /**
+   * 按分栏重排元素并标记页眉、页脚、脚注，须在章节树和图表标题之前执行（它们引用元素下标）
+   * @param {string} filePath 原 PDF 路径
+   * @param {Object} result 提取结果（原地修改）
+   */
+  async applyReadingOrder(filePath, result) {
+    const pageSizes = (await this.loadDocument(filePath)).getPages().map(page => page.getSize());
+    const { elements, multiColumnPages } = layoutService.orderElements(result.elements, pageSizes);
+    result.elements = elements;
+    result.metadata = { ...result.metadata, multiColumnPages };
+  }
+
+  /**
+   * 合并内嵌元数据（XMP / Info）和前几页文本识别出的标题、作者、DOI 等字段
+   * @param {string} filePath 原 PDF 路径
+   * @param {Object} result 提取结果（原地修改）
+   */
+  async applyDocumentMetadata(filePath, result) {
     try {
-      // 上传 PDF 文件
-      readStream = fs.createReadStream(filePath);
-      const inputAsset = await this.pdfServices.upload({
-        readStream,
-        mimeType: MimeType.PDF
-      });
+      const pdfDoc = await this.loadDocument(filePath);
+      const metadata = metadataService.extract(pdfDoc, result);
+      result.metadata = { ...result.metadata, ...metadata };
+    } catch (error) {
+      console.warn('[PDFService] 读取文档元数据失败:', error.message);
+    }
+  }
 
-      // 创建 OCR 参数
-      const params = new OCRParams({
-        ocrLocale: options.locale || OCRSupportedLocale.EN_US,
-        ocrType: options.type || OCRSupportedType.SEARCHABLE_IMAGE_EXACT
-      });
+  /**
+   * 自动 OCR 会额外消耗 Adobe OCR 和 Extract 调用次数，默认关闭，需要请求或环境变量显式开启
+   */
+  shouldAutoOcr(options) {
+    if (options.autoOcr !== undefined) {
+      return options.autoOcr === true || String(options.autoOcr) === 'true';
+    }
+    return process.env.PDF_AUTO_OCR === 'true';
+  }
 
-      // 创建并提交 OCR 任务
-      const job = new OCRJob({ inputAsset, params });
-      const pollingURL = await this.pdfServices.submit({ job });
-      
-      const pdfServicesResponse = await this.pdfServices.getJobResult({
-        pollingURL,
-        resultType: OCRResult
-      });
+  /**
+   * 找出需要 OCR 的页面：字符数低于阈值，且大部分被位图覆盖（扫描页）
+   * 空白页和纯矢量图页面没有可识别的文字，不做 OCR
+   * @param {Object} result 提取结果
+   * @param {string} filePath 原 PDF 路径（用于读取页面尺寸）
+   * @returns {Promise<Array<number>>} 页码列表
+   */
+  async detectLowTextPages(result, filePath) {
+    const minChars = parseInt(process.env.PDF_OCR_MIN_CHARS, 10) || 80;
+    const sourceDoc = await this.loadDocument(filePath);
+    const pdfPages = sourceDoc.getPages();
+    const pages = result.document?.selectedPages ||
+      Array.from({ length: pdfPages.length }, (_, i) => i + 1);
+
+    return pages.filter(page => {
+      const onPage = result.elements.filter(el => el.page === page);
+      const chars = onPage
+        .filter(el => el.type === 'text')
+        .reduce((sum, el) => sum + (el.text || '').replace(/\s/g, '').length, 0);
+      if (chars >= minChars) return false;
 
-      // 获取结果
-      const resultAsset = pdfServicesResponse.result.asset;
-      const streamAsset = await this.pdfServices.getContent({ asset: resultAsset });
-
-      // 保存 OCR 后的 PDF
-      const ocrPdfPath = path.join(__dirname, '../temp', `ocr-${uuidv4()}.pdf`);
-      await fs.ensureDir(path.dirname(ocrPdfPath));
-      
-      const writeStream = fs.createWriteStream(ocrPdfPath);
-      await new Promise((resolve, reject) => {
-        streamAsset.readStream.pipe(writeStream)
-          .on('finish', resolve)
-          .on('error', reject);
+      const pdfPage = pdfPages[page - 1];
+      if (!pdfPage) return false;
+      const { width, height } = pdfPage.getSize();
+      const images = onPage.filter(el => el.type === 'image');
+      const placed = images.filter(el => Array.isArray(el.bounds));
+      if (placed.length > 0) {
+        const imageArea = placed
+          .reduce((sum, el) => sum + Math.abs((el.bounds[2] - el.bounds[0]) * (el.bounds[3] - el.bounds[1])), 0);
+        return imageArea / (width * height) >= 0.5;
+      }
+
+      // 提取器没有给出图片位置（本地提取器）或没有报告图片时，只有完全没有文字、且页面资源中有位图才视为扫描页
+      return chars === 0 && this.hasRasterImage(pdfPage.node.Resources());
+    });
+  }
+
+  /**
+   * 页面资源中是否引用了位图，表单 XObject 内嵌的图片也计入（部分扫描软件把整页图片包在表单中）
+   * @param {PDFDict} resources 页面或表单的 Resources
+   * @param {number} [depth] 表单嵌套深度
+   * @returns {boolean}
+   */
+  hasRasterImage(resources, depth = 0) {
+    const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects || depth > 3) return false;
+
+    return xObjects.values().some(ref => {
+      const xObject = xObjects.context.lookup(ref);
+      if (!(xObject instanceof PDFStream)) return false;
+      const subtype = xObject.dict.get(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Image')) return true;
+      return subtype === PDFName.of('Form') &&
+        this.hasRasterImage(xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), depth + 1);
+    });
+  }
+
+  /**
+   * 对文字过少的页面执行 OCR，并用 OCR 结果替换这些页面的元素
+   * 结果写入 metadata.lowTextPages / metadata.ocrPages
+   */
+  async applyOcrFallback(filePath, result, options) {
+    const ocrProvider = this.providers.adobe;
+    const lowTextPages = await this.detectLowTextPages(result, filePath);
+    result.metadata = { ...result.metadata, lowTextPages, ocrPages: [] };
+    if (lowTextPages.length === 0) return;
+
+    if (!ocrProvider.isAvailable()) {
+      console.warn(`[PDFService] 第 ${lowTextPages.join(', ')} 页文字过少，但 OCR 不可用，跳过`);
+      result.metadata.ocrSkipped = 'OCR 需要配置 Adobe PDF Services';
+      return;
+    }
+
+    console.log(`[PDFService] 第 ${lowTextPages.join(', ')} 页文字过少，自动 OCR`);
+    const sourceDoc = await this.loadDocument(filePath);
+    const subPath = await this.writeSubDocument(sourceDoc, lowTextPages);
+
+    let ocrPdfPath;
+    try {
+      const ocrOptions = await this.resolveOcrOptions(ocrProvider, subPath, options);
+      ocrPdfPath = await ocrProvider.ocr(subPath, { locale: ocrOptions.locale, type: ocrOptions.type });
+
+      // OCR 后的文字层用当前提取器读取，页码映射回原文档
+      const provider = this.getProvider(options.provider);
+      const ocrResult = await this.extractRaw(provider, ocrPdfPath);
+      this.remapPages(ocrResult, lowTextPages);
+
+      await this.replacePages(result, ocrResult, lowTextPages);
+      result.metadata.ocrPages = lowTextPages;
+      result.metadata.ocrLocale = ocrOptions.locale || null;
+    } catch (error) {
+      // OCR 失败不影响已提取的内容
+      console.error('[PDFService] 自动 OCR 失败:', error.message);
+      result.metadata.ocrError = error.message;
+    } finally {
+      await fs.remove(subPath);
+      if (ocrPdfPath) await fs.remove(ocrPdfPath);
+    }
+  }
+
+  /**
+   * 用 OCR 结果替换指定页面的元素，保持页码顺序
+   * 被替换页面的图片和表格不再被引用，同时从缓存中删除
+   */
+  async replacePages(result, ocrResult, pages) {
+    const replaced = new Set(pages);
+    const keep = (item) => !replaced.has(item.page);
+
+    await cacheService.removeAssets(result.elements.filter(el => !keep(el)));
+    result.elements = [...result.elements.filter(keep), ...ocrResult.elements]
+      .map((el, order) => ({ el, order }))
+      .sort((a, b) => (a.el.page - b.el.page) || (a.order - b.order))
+      .map(({ el }) => el);
+    result.imageReferences = [...(result.imageReferences || []).filter(keep), ...(ocrResult.imageReferences || [])];
+    result.tableReferences = [...(result.tableReferences || []).filter(keep), ...(ocrResult.tableReferences || [])];
+  }
+
+  /**
+   * 解析 OCR 语言和模式；locale 为 auto 时根据首页样本检测
+   * @param {Object} ocrProvider 执行 OCR 的提取器
+   * @param {string} filePath 待 OCR 的 PDF
+   * @param {Object} options { locale, type }
+   * @returns {Promise<Object>} { locale, type, autoDetected, confidence }
+   */
+  async resolveOcrOptions(ocrProvider, filePath, options) {
+    const resolved = { locale: undefined, type: undefined, autoDetected: false, confidence: null };
+    const { locales, types } = ocrProvider.ocrCapabilities ? ocrProvider.ocrCapabilities() : { locales: [], types: [] };
+
+    if (options.type) {
+      resolved.type = ocrProvider.resolveOcrType?.(options.type);
+      if (!resolved.type) {
+        throw this.badRequest(`不支持的 OCR 模式: ${options.type}，可选: ${types.join(', ')}`);
+      }
+    }
+
+    if (options.locale && String(options.locale).toLowerCase() === 'auto') {
+      const detected = await this.detectOcrLocale(filePath);
+      resolved.locale = detected ? ocrProvider.resolveOcrLocale(detected.locale) : undefined;
+      resolved.autoDetected = Boolean(resolved.locale);
+      resolved.confidence = detected ? detected.confidence : null;
+      console.log(`[PDFService] OCR 语言检测结果: ${resolved.locale || '未识别，使用默认语言'}`);
+    } else if (options.locale) {
+      resolved.locale = ocrProvider.resolveOcrLocale?.(options.locale);
+      if (!resolved.locale) {
+        throw this.badRequest(`不支持的 OCR 语言: ${options.locale}，可选: auto, ${locales.join(', ')}`);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 根据首页已有的文本层检测 OCR 语言
+   * 只用本地 pdftotext 读取，不调用 Adobe；没有 poppler 或首页没有文本层时返回 null，OCR 使用默认语言
+   * @returns {Promise<{locale: string, confidence: number}|null>}
+   */
+  async detectOcrLocale(filePath) {
+    if (!this.providers.local.isAvailable()) {
+      console.warn('[PDFService] 未找到 pdftotext，跳过 OCR 语言检测');
+      return null;
+    }
+
+    const sourceDoc = await this.loadDocument(filePath);
+    const samplePath = await this.writeSubDocument(sourceDoc, [1]);
+
+    try {
+      const text = await this.providers.local.extractText(samplePath);
+      if (text.replace(/\s/g, '').length < 50) return null;
+      return languageService.detect(text);
+    } catch (error) {
+      console.warn(`[PDFService] 读取样本文本失败: ${error.message}`);
+      return null;
+    } finally {
+      await fs.remove(samplePath);
+    }
+  }
+
+  async ocrPDF(filePath, options = {}) {
+    // OCR 只有 Adobe 支持，provider 仅影响 OCR 之后的提取步骤
+    const ocrProvider = this.getProvider(options.ocrProvider || 'adobe');
+    const selection = await this.selectPages(filePath, options.pages);
+
+    let ocrPdfPath;
+    let ocrOptions;
+    try {
+      ocrOptions = await this.resolveOcrOptions(ocrProvider, selection.filePath, options);
+      ocrPdfPath = await ocrProvider.ocr(selection.filePath, {
+        locale: ocrOptions.locale,
+        type: ocrOptions.type
       });
+    } finally {
+      await selection.cleanup();
+    }
 
+    try {
       // 读取 OCR 后的文本
-      const extractResult = await this.extractPDF(ocrPdfPath);
-      
-      // 清理临时文件
-      await fs.unlink(ocrPdfPath);
-      
+      const extractResult = await this.extractPDF(ocrPdfPath, {
+        ...options,
+        autoOcr: false,
+        pages: undefined,
+        pageMap: selection.pages,
+        pageCount: selection.pageCount
+      });
+
+      // 临时 PDF 在返回前删除，不返回其路径；keepPdf 时把可搜索 PDF 保存到缓存，通过 pdfKey 下载
+      let pdfKey = null;
+      if (options.keepPdf) {
+        pdfKey = uuidv4();
+        await cacheService.savePdf(pdfKey, ocrPdfPath);
+      }
+
       return {
         success: true,
         message: 'OCR 处理完成',
-        ocrPdfPath: ocrPdfPath,
+        pdfKey,
+        pdfUrl: pdfKey ? `/api/cache/pdf/${pdfKey}` : null,
+        ocr: {
+          locale: ocrOptions.locale || ocrProvider.resolveOcrLocale?.('en-US'),
+          type: ocrOptions.type || ocrProvider.resolveOcrType?.('searchable_image_exact'),
+          autoDetected: ocrOptions.autoDetected,
+          confidence: ocrOptions.confidence
+        },
         extractedText: extractResult
       };
-      
-    } catch (err) {
-      this.handleError(err);
     } finally {
-      readStream?.destroy();
+      // 清理临时文件
+      await fs.remove(ocrPdfPath);
     }
   }
 
-  handleError(err) {
-    if (err instanceof SDKError || err instanceof ServiceUsageError || err instanceof ServiceApiError) {
-      console.error("Adobe PDF Services 错误:", err);
-      throw new Error(`PDF 处理失败: ${err.message}`);
-    } else {
-      console.error("处理错误:", err);
-      throw new Error(`处理失败: ${err.message}`);
-    }
+  /**
+   * OCR 可选的语言和模式
+   * @returns {{locales: Array<string>, types: Array<string>}}
+   */
+  ocrCapabilities() {
+    const { locales, types } = this.getProvider('adobe').ocrCapabilities();
+    return { locales: ['auto', ...locales], types };
   }
 }
 
-module.exports = new PDFService();
\ No newline at end of file
+module.exports = new PDFService();
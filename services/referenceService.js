@@ -0,0 +1,349 @@
+const sectionService = require('./sectionService');
+
+// 参考文献条目开头的编号：[12] / 12. / (12)
+const ENTRY_MARKER = /^\s*(?:\[(\d{1,4})\]|\((\d{1,4})\)|(\d{1,4})\.)\s+/;
+// 正文中的引用标记：[3] / [3, 5] / [2-4] / [2–4, 7]
+const CITATION_MARKER = /\[(\d{1,4}(?:\s*[-–—]\s*\d{1,4})?(?:\s*[,;]\s*\d{1,4}(?:\s*[-–—]\s*\d{1,4})?)*)\]/g;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+const ARXIV_PATTERN = /arxiv(?:\.org\/abs\/|\s*:\s*|\s+preprint\s+arxiv\s*:\s*)(\d{4}\.\d{4,5}|[a-z-]+\/\d{7})(v\d+)?/i;
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d{2})[a-z]?\b/g;
+const INITIALS = /^(?:[A-Z]\.?\s?-?)+$/;
+// Vancouver 作者列表：Devlin J, Chang MW, Lee K.
+const VANCOUVER_AUTHORS = /^((?:[A-Z][\w'’-]+(?: [A-Z][\w'’-]+)* [A-Z]{1,3},\s*)*[A-Z][\w'’-]+(?: [A-Z][\w'’-]+)* [A-Z]{1,3}(?:,? et al)?)\.\s+(.+)$/;
+
+/**
+ * 参考文献解析服务
+ * 从 References 章节解析结构化条目，关联正文引用标记，并导出 BibTeX / CSL-JSON
+ */
+class ReferenceService {
+  /**
+   * 解析参考文献并关联正文引用
+   * @param {Array<Object>} sections 章节树
+   * @returns {{references: Array<Object>, citations: Array<Object>}}
+   */
+  parse(sections = []) {
+    const referenceSection = sectionService.findByRole(sections, 'references');
+    if (!referenceSection) {
+      return { references: [], citations: [] };
+    }
+
+    const references = this.splitEntries(referenceSection)
+      .map((entry, i) => this.parseEntry(entry.text, entry.number || i + 1, entry.page));
+    const citations = this.linkCitations(sections, references, referenceSection);
+
+    return { references, citations };
+  }
+
+  /**
+   * 把参考文献章节拆分为条目
+   * Adobe 通常把每条参考文献输出为独立段落或列表项，但跨页或跨栏时会断开，
+   * 因此先按编号合并续行，没有编号时按段落拆分
+   */
+  splitEntries(referenceSection) {
+    const items = this.collectTextItems(referenceSection);
+    const numbered = items.some(item => ENTRY_MARKER.test(item.text));
+    const entries = [];
+
+    for (const item of items) {
+      const text = item.text.replace(/\s+/g, ' ').trim();
+      if (!text) continue;
+
+      if (!numbered) {
+        entries.push({ text, page: item.page });
+        continue;
+      }
+
+      // 同一段落中可能包含多条编号条目
+      const pieces = text.split(/\s(?=\[\d{1,4}\]\s)/);
+      for (const piece of pieces) {
+        const match = piece.match(ENTRY_MARKER);
+        // 单独的编号标签（Adobe 的 Lbl 元素）与后面的正文合并
+        if (match && piece.trim() === match[0].trim()) {
+          entries.push({ number: parseInt(match[1] || match[2] || match[3], 10), text: '', page: item.page });
+        } else if (match) {
+          entries.push({
+            number: parseInt(match[1] || match[2] || match[3], 10),
+            text: piece.slice(match[0].length),
+            page: item.page
+          });
+        } else if (/^\s*(?:\[\d{1,4}\]|\d{1,4}\.?)\s*$/.test(piece)) {
+          entries.push({ number: parseInt(piece.replace(/\D/g, ''), 10), text: '', page: item.page });
+        } else if (entries.length > 0) {
+          const last = entries[entries.length - 1];
+          last.text = last.text ? `${last.text} ${piece}` : piece;
+        }
+      }
+    }
+
+    return entries.filter(entry => entry.text);
+  }
+
+  collectTextItems(section) {
+    const own = section.content.filter(item => item.type === 'text');
+    return [...own, ...section.children.flatMap(child => this.collectTextItems(child))];
+  }
+
+  /**
+   * 解析单条参考文献
+   * @param {string} raw 原始文本（不含编号）
+   * @param {number} number 编号
+   * @param {number} page 所在页
+   * @returns {Object}
+   */
+  parseEntry(raw, number, page) {
+    const text = raw.replace(/\s+/g, ' ').trim();
+    const doiMatch = text.match(DOI_PATTERN);
+    const arxivMatch = text.match(ARXIV_PATTERN);
+    const years = [...text.matchAll(YEAR_PATTERN)].map(m => parseInt(m[1], 10));
+
+    let authorsPart = '';
+    let title = '';
+    let venue = '';
+
+    const quoted = text.match(/^(.*?)[“"](.+?)[,.]?[”"]\s*,?\s*(.*)$/);
+    const apa = text.match(/^(.+?)\s*\((\d{4})[a-z]?\)\.?\s*(.+)$/);
+    const colon = text.match(/^(.+?\.):\s+(.+)$/);
+    const vancouver = text.match(VANCOUVER_AUTHORS);
+
+    if (quoted) {
+      // IEEE：A. Author, B. Author, and C. Author, “Title,” in Venue, 2020.
+      authorsPart = quoted[1];
+      title = quoted[2];
+      venue = quoted[3];
+    } else if (apa) {
+      // APA：Author, A., & Author, B. (2020). Title. Venue, 1(2), 3-4.
+      authorsPart = apa[1];
+      [title, venue] = this.splitSentences(apa[3]);
+    } else if (vancouver) {
+      // Vancouver：Devlin J, Chang MW. Title. Venue. 2019;1:1-10.
+      authorsPart = vancouver[1];
+      [title, venue] = this.splitSentences(vancouver[2]);
+    } else if (colon && colon[1].length < text.length * 0.6) {
+      // LNCS：Author, A., Author, B.: Title. In: Venue. pp. 1-10 (2020)
+      authorsPart = colon[1];
+      [title, venue] = this.splitSentences(colon[2]);
+    } else {
+      // ACM / ACL / 通用：Author A, Author B. 2020. Title. Venue.
+      const sentences = this.splitSentences(text.replace(/\.\s+(19[5-9]\d|20\d{2})[a-z]?\.\s+/, '. '));
+      authorsPart = sentences[0] || '';
+      title = sentences[1] || '';
+      venue = sentences[2] || '';
+    }
+
+    venue = (venue || '')
+      .replace(/^(in|in:)\s+/i, '')
+      .replace(DOI_PATTERN, '')
+      .replace(/(doi:|https?:\/\/\S+)/gi, '')
+      .replace(/,?\s*(pp\.?|pages)\s*\d+\s*[-–—]+\s*\d+/gi, '')
+      .replace(/,?\s*\(?\b(19[5-9]\d|20\d{2})[a-z]?\)?(?=[,.;\s]*$)/, '')
+      .replace(/[,.;\s]+$/, '')
+      .trim();
+
+    return {
+      id: `ref-${number}`,
+      number,
+      page,
+      raw: text,
+      authors: this.parseAuthors(authorsPart),
+      title: title.replace(/[,.\s]+$/, '').trim(),
+      venue: venue || null,
+      year: years.length > 0 ? years[years.length - 1] : null,
+      doi: doiMatch ? doiMatch[1].replace(/[.,;)\]]+$/, '') : null,
+      arxivId: arxivMatch ? arxivMatch[1] + (arxivMatch[2] || '') : null,
+      citedBy: []
+    };
+  }
+
+  /**
+   * 按句号切分，忽略姓名缩写后的句号（如 "J. Smith"）
+   */
+  splitSentences(text) {
+    const sentences = [];
+    let current = '';
+    const tokens = text.split(/(?<=\.)\s+/);
+
+    for (const token of tokens) {
+      current = current ? `${current} ${token}` : token;
+      const lastWord = current.split(/\s+/).pop();
+      if (/^[A-Z]\.$/.test(lastWord) || /^(et al|pp|vol|no|Proc|Conf|Int|Trans)\.$/i.test(lastWord)) {
+        continue;
+      }
+      sentences.push(current.replace(/\.$/, '').trim());
+      current = '';
+    }
+    if (current) sentences.push(current.replace(/\.$/, '').trim());
+
+    // 第一段之后的内容合并为 venue
+    if (sentences.length > 3) {
+      return [sentences[0], sentences[1], sentences.slice(2).join('. ')];
+    }
+    return sentences;
+  }
+
+  /**
+   * 解析作者列表，返回 [{ family, given }]
+   */
+  parseAuthors(authorsPart) {
+    const cleaned = (authorsPart || '')
+      .replace(/\bet al\.?/gi, '')
+      .replace(/\s*(,\s*)?(\band\b|&)\s*/g, ', ')
+      .replace(/[,.\s]+$/, '')
+      .trim();
+    if (!cleaned) return [];
+
+    const pieces = cleaned.split(/\s*[;,]\s*/).filter(Boolean);
+    const names = [];
+
+    for (const piece of pieces) {
+      // "Smith, J." 格式中的缩写与前一个姓氏合并
+      if (INITIALS.test(piece) && names.length > 0 && !names[names.length - 1].includes(',')) {
+        names[names.length - 1] = `${names[names.length - 1]}, ${piece}`;
+      } else {
+        names.push(piece);
+      }
+    }
+
+    return names.map(name => {
+      if (name.includes(',')) {
+        const [family, given] = name.split(/\s*,\s*/);
+        return { family, given: given || '' };
+      }
+      const parts = name.split(/\s+/);
+      // "Smith J" / "Smith JA"（Vancouver）
+      if (parts.length === 2 && /^[A-Z]{1,3}$/.test(parts[1])) {
+        return { family: parts[0], given: parts[1] };
+      }
+      return { family: parts.pop(), given: parts.join(' ') };
+    }).filter(author => author.family && author.family.length > 1);
+  }
+
+  /**
+   * 在正文（参考文献章节以外）中查找数字引用标记并关联条目
+   */
+  linkCitations(sections, references, referenceSection) {
+    const byNumber = new Map(references.map(ref => [ref.number, ref]));
+    const citations = [];
+
+    const visit = (section) => {
+      if (section === referenceSection) return;
+      for (const item of section.content) {
+        if (item.type !== 'text') continue;
+        for (const match of item.text.matchAll(CITATION_MARKER)) {
+          const numbers = this.expandMarker(match[1]).filter(n => byNumber.has(n));
+          if (numbers.length === 0) continue;
+
+          const referenceIds = numbers.map(n => byNumber.get(n).id);
+          citations.push({
+            marker: match[0],
+            elementIndex: item.index,
+            page: item.page,
+            sectionId: section.id,
+            referenceIds
+          });
+          for (const n of numbers) {
+            const ref = byNumber.get(n);
+            if (!ref.citedBy.includes(item.index)) ref.citedBy.push(item.index);
+          }
+        }
+      }
+      section.children.forEach(visit);
+    };
+
+    sections.forEach(visit);
+    return citations;
+  }
+
+  expandMarker(marker) {
+    const numbers = [];
+    for (const part of marker.split(/\s*[,;]\s*/)) {
+      const range = part.split(/\s*[-–—]\s*/).map(n => parseInt(n, 10));
+      if (range.length === 2 && range[1] >= range[0] && range[1] - range[0] < 50) {
+        for (let n = range[0]; n <= range[1]; n++) numbers.push(n);
+      } else if (!Number.isNaN(range[0])) {
+        numbers.push(range[0]);
+      }
+    }
+    return numbers;
+  }
+
+  /**
+   * 导出 BibTeX
+   * @param {Array<Object>} references 参考文献
+   * @returns {string}
+   */
+  toBibTeX(references = []) {
+    const usedKeys = new Set();
+
+    return references.map(ref => {
+      const type = this.guessType(ref);
+      const key = this.citationKey(ref, usedKeys);
+      const fields = [
+        ['author', ref.authors.map(a => a.given ? `${a.family}, ${a.given}` : a.family).join(' and ')],
+        ['title', ref.title],
+        [type === 'article' ? 'journal' : 'booktitle', type === 'misc' ? null : ref.venue],
+        ['howpublished', type === 'misc' ? ref.venue : null],
+        ['year', ref.year],
+        ['doi', ref.doi],
+        ['eprint', ref.arxivId],
+        ['archivePrefix', ref.arxivId ? 'arXiv' : null],
+        ['note', ref.title ? null : ref.raw]
+      ].filter(([, value]) => value);
+
+      const body = fields
+        .map(([name, value]) => `  ${name} = {${this.escapeBibTeX(String(value))}}`)
+        .join(',\n');
+      return `@${type}{${key},\n${body}\n}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * 导出 CSL-JSON
+   * @param {Array<Object>} references 参考文献
+   * @returns {Array<Object>}
+   */
+  toCSL(references = []) {
+    const typeMap = { article: 'article-journal', inproceedings: 'paper-conference', misc: 'article' };
+
+    return references.map(ref => {
+      const item = {
+        id: ref.id,
+        type: typeMap[this.guessType(ref)],
+        title: ref.title || ref.raw,
+        author: ref.authors.map(a => ({ family: a.family, given: a.given }))
+      };
+      if (ref.venue) item['container-title'] = ref.venue;
+      if (ref.year) item.issued = { 'date-parts': [[ref.year]] };
+      if (ref.doi) item.DOI = ref.doi;
+      if (ref.arxivId) {
+        item.number = `arXiv:${ref.arxivId}`;
+        item.URL = `https://arxiv.org/abs/${ref.arxivId}`;
+      }
+      return item;
+    });
+  }
+
+  guessType(ref) {
+    const venue = ref.venue || '';
+    if (ref.arxivId && !venue.replace(/arxiv.*$/i, '').trim()) return 'misc';
+    if (/\b(proc\.?|proceedings|conference|conf\.|workshop|symposium|in:)\b/i.test(venue)) return 'inproceedings';
+    if (/\b(journal|trans\.|transactions|letters|review|j\.)\b|\d+\s*\(\d+\)/i.test(venue)) return 'article';
+    return venue ? 'inproceedings' : 'misc';
+  }
+
+  citationKey(ref, usedKeys) {
+    const family = (ref.authors[0]?.family || 'ref').toLowerCase().replace(/[^a-z0-9]/g, '') || 'ref';
+    const titleWord = (ref.title.match(/[A-Za-z]{4,}/) || [''])[0].toLowerCase();
+    const base = `${family}${ref.year || ''}${titleWord}`;
+    let key = base;
+    let suffix = 1;
+    while (usedKeys.has(key)) key = `${base}${String.fromCharCode(96 + ++suffix)}`;
+    usedKeys.add(key);
+    return key;
+  }
+
+  escapeBibTeX(value) {
+    return value.replace(/([{}&%$#_])/g, '\\$1');
+  }
+}
+
+module.exports = new ReferenceService();
@@ -0,0 +1,228 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { fromPath } = require('pdf2pic');
+const { PDFDocument } = require('pdf-lib');
+const cacheService = require('./cacheService');
+
+const FORMATS = ['png', 'webp', 'jpeg'];
+
+/**
+ * 页面渲染服务
+ * 用 pdf2pic（GraphicsMagick + Ghostscript）把 PDF 页面渲染为图片，结果缓存在 cacheService 中
+ */
+class RenderService {
+  constructor() {
+    this.defaultDpi = 150;
+    this.maxDpi = 600;
+    this.maxWidth = 4000;
+  }
+
+  /**
+   * 校验并规范化渲染参数
+   * @param {Object} options { dpi, width, format }
+   * @returns {Object} { dpi, width, format }
+   */
+  normalizeOptions({ dpi, width, format } = {}) {
+    const normalized = {
+      dpi: dpi ? parseInt(dpi, 10) : null,
+      width: width ? parseInt(width, 10) : null,
+      format: (format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg')
+    };
+
+    if (!FORMATS.includes(normalized.format)) {
+      throw this.badRequest(`不支持的图片格式: ${format}，可选: ${FORMATS.join(', ')}`);
+    }
+    if (normalized.dpi !== null && !(normalized.dpi >= 36 && normalized.dpi <= this.maxDpi)) {
+      throw this.badRequest(`dpi 需在 36-${this.maxDpi} 之间`);
+    }
+    if (normalized.width !== null && !(normalized.width >= 16 && normalized.width <= this.maxWidth)) {
+      throw this.badRequest(`width 需在 16-${this.maxWidth} 之间`);
+    }
+    if (normalized.dpi === null && normalized.width === null) {
+      normalized.dpi = this.defaultDpi;
+    }
+    return normalized;
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * 读取页面尺寸（点）
+   * 同一请求内渲染多页时传入同一个 context，PDF 只解析一次
+   * @param {string} pdfPath PDF 路径
+   * @param {Object} [context] 请求内共享的缓存 { pageSizes }
+   * @returns {Promise<Array<{width: number, height: number}>>}
+   */
+  async getPageSizes(pdfPath, context = {}) {
+    if (!context.pageSizes) {
+      const doc = await PDFDocument.load(await fs.readFile(pdfPath), { ignoreEncryption: true });
+      context.pageSizes = doc.getPages().map(page => page.getSize());
+    }
+    return context.pageSizes;
+  }
+
+  /**
+   * 渲染单页，命中缓存时直接返回缓存文件
+   * @param {string} pdfKey 缓存中的 PDF key
+   * @param {number} page 页码（从 1 开始）
+   * @param {Object} options { dpi, width, format }
+   * @param {Object} [context] 请求内共享的缓存，见 getPageSizes
+   * @returns {Promise<{path: string, format: string}>}
+   */
+  async renderPage(pdfKey, page, options = {}, context = {}) {
+    const pdfPath = cacheService.getPdfPath(pdfKey);
+    if (!pdfPath) {
+      const error = new Error('原始 PDF 不存在，请重新上传');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { dpi, width, format } = this.normalizeOptions(options);
+    const renderName = `${pdfKey}-p${page}-${width ? `w${width}` : `d${dpi}`}.${format}`;
+    const cached = cacheService.getRenderPath(renderName);
+    if (cached) return { path: cached, format };
+
+    const sizes = await this.getPageSizes(pdfPath, context);
+    const size = sizes[page - 1];
+    if (!size) {
+      throw this.badRequest(`页码超出范围 (1-${sizes.length})`);
+    }
+
+    const buffer = await this.rasterize(pdfPath, page, size, { dpi, width });
+    const output = await sharp(buffer).toFormat(format).toBuffer();
+    const renderPath = await cacheService.saveRender(renderName, output);
+    return { path: renderPath, format };
+  }
+
+  /**
+   * 调用 pdf2pic 栅格化页面，返回 PNG Buffer
+   * @param {string} pdfPath PDF 路径
+   * @param {number} page 页码
+   * @param {Object} size 页面尺寸（点）
+   * @param {Object} options { dpi, width }
+   * @returns {Promise<Buffer>}
+   */
+  async rasterize(pdfPath, page, size, { dpi, width }) {
+    const pixelWidth = width || Math.round(size.width * dpi / 72);
+    const pixelHeight = Math.round(pixelWidth * size.height / size.width);
+    // 指定宽度时按目标宽度反推采样密度，避免先低分辨率渲染再放大
+    const density = width ? Math.max(72, Math.ceil(width * 72 / size.width)) : dpi;
+
+    const convert = fromPath(pdfPath, {
+      density,
+      format: 'png',
+      width: pixelWidth,
+      height: pixelHeight,
+      preserveAspectRatio: true
+    });
+
+    try {
+      const result = await convert(page, { responseType: 'buffer' });
+      if (!result.buffer || result.buffer.length === 0) {
+        throw new Error('渲染结果为空');
+      }
+      return result.buffer;
+    } catch (error) {
+      throw new Error(`页面渲染失败（需要安装 GraphicsMagick 和 Ghostscript）: ${error.message}`);
+    }
+  }
+
+  /**
+   * 按 Bounds 从高分辨率页面渲染中裁剪区域
+   * @param {string} pdfPath PDF 路径
+   * @param {number} page 页码
+   * @param {Array<Object>} regions [{ bounds: [x0, y0, x1, y1] }]，坐标原点在左下角（点）
+   * @param {number} dpi 渲染分辨率
+   * @param {Object} [context] 请求内共享的缓存，见 getPageSizes
+   * @returns {Promise<Array<Buffer>>} 与 regions 顺序一致的 PNG Buffer
+   */
+  async cropRegions(pdfPath, page, regions, dpi, context = {}) {
+    const sizes = await this.getPageSizes(pdfPath, context);
+    const size = sizes[page - 1];
+    if (!size) {
+      throw this.badRequest(`页码超出范围 (1-${sizes.length})`);
+    }
+
+    const pageImage = await this.rasterize(pdfPath, page, size, { dpi });
+    const { width: pixelWidth, height: pixelHeight } = await sharp(pageImage).metadata();
+    const scaleX = pixelWidth / size.width;
+    const scaleY = pixelHeight / size.height;
+    // 四周留 2pt 余量，避免裁掉贴边的线条
+    const padding = 2;
+
+    return Promise.all(regions.map(({ bounds }) => {
+      const [x0, y0, x1, y1] = bounds;
+      const left = Math.max(0, Math.floor((x0 - padding) * scaleX));
+      const top = Math.max(0, Math.floor((size.height - y1 - padding) * scaleY));
+      const right = Math.min(pixelWidth, Math.ceil((x1 + padding) * scaleX));
+      const bottom = Math.min(pixelHeight, Math.ceil((size.height - y0 + padding) * scaleY));
+
+      return sharp(pageImage)
+        .extract({ left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) })
+        .png()
+        .toBuffer();
+    }));
+  }
+
+  /**
+   * 生成缩略图条带：多页缩略图拼接为一张图片
+   * @param {string} pdfKey 缓存中的 PDF key
+   * @param {Array<number>} pages 页码列表
+   * @param {Object} options { width, format, layout: 'horizontal' | 'vertical', gap }
+   * @returns {Promise<{path: string, format: string}>}
+   */
+  async renderThumbnailStrip(pdfKey, pages, options = {}) {
+    const width = parseInt(options.width, 10) || 160;
+    const layout = options.layout === 'vertical' ? 'vertical' : 'horizontal';
+    const gap = 8;
+    const { format } = this.normalizeOptions({ width, format: options.format });
+
+    // 页码列表可能很长，文件名中用其摘要代替
+    const pagesDigest = crypto.createHash('sha1').update(pages.join(',')).digest('hex').substring(0, 10);
+    const stripName = `${pdfKey}-strip-${layout}-w${width}-${pagesDigest}.${format}`;
+    const cached = cacheService.getRenderPath(stripName);
+    if (cached) return { path: cached, format };
+
+    const buffer = await this.composeStrip(pdfKey, pages, { width, layout, gap });
+    const output = await sharp(buffer).toFormat(format).toBuffer();
+    return { path: await cacheService.saveRender(stripName, output), format };
+  }
+
+  async composeStrip(pdfKey, pages, { width, layout, gap }) {
+    const context = {};
+    const thumbnails = [];
+    for (const page of pages) {
+      const { path: thumbPath } = await this.renderPage(pdfKey, page, { width, format: 'png' }, context);
+      const buffer = await fs.readFile(thumbPath);
+      const { height } = await sharp(buffer).metadata();
+      thumbnails.push({ buffer, height });
+    }
+
+    const composites = [];
+    let offset = 0;
+    for (const thumb of thumbnails) {
+      composites.push(layout === 'vertical'
+        ? { input: thumb.buffer, left: 0, top: offset }
+        : { input: thumb.buffer, left: offset, top: 0 });
+      offset += (layout === 'vertical' ? thumb.height : width) + gap;
+    }
+
+    const maxHeight = Math.max(...thumbnails.map(t => t.height));
+    const total = offset - gap;
+    return sharp({
+      create: {
+        width: layout === 'vertical' ? width : total,
+        height: layout === 'vertical' ? total : maxHeight,
+        channels: 3,
+        background: '#ffffff'
+      }
+    }).composite(composites).png().toBuffer();
+  }
+}
+
+module.exports = new RenderService();
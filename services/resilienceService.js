@@ -0,0 +1,232 @@
+/**
+ * 上游调用（模型接口、Adobe PDF Services）的重试与熔断
+ * 按错误类别选择重试策略，指数退避加随机抖动，遵守 Retry-After；
+ * 每个上游一个熔断器，连续出现临时性故障后暂停调用，冷却后放行一次试探请求
+ */
+
+// 各错误类别的重试策略，retries 为最多重试次数，baseDelay 为退避基数（毫秒）
+// 未列出的类别（client、other）说明请求本身有问题，重试无意义
+const RETRY_POLICIES = {
+  rate_limit: { retries: 4, baseDelay: 2000 },
+  server: { retries: 2, baseDelay: 1000 },
+  timeout: { retries: 1, baseDelay: 1000 },
+  network: { retries: 2, baseDelay: 500 }
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ResilienceService {
+  constructor() {
+    this.breakers = {};
+    this.retriesEnabled = process.env.UPSTREAM_RETRIES !== 'false';
+    this.maxDelay = parseInt(process.env.UPSTREAM_MAX_DELAY_MS, 10) || 30000;
+    // Retry-After 超过该值时不再等待，直接失败
+    this.maxRetryAfter = parseInt(process.env.UPSTREAM_MAX_RETRY_AFTER_MS, 10) || 60000;
+    this.breakerThreshold = parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5;
+    this.breakerCooldown = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_MS, 10) || 30000;
+  }
+
+  /**
+   * 判断错误类别
+   * @param {Error} error axios 错误、Adobe SDK 错误或带 statusCode 的普通错误
+   * @returns {string} rate_limit | server | timeout | network | client | other
+   */
+  classify(error) {
+    const status = error.response?.status ?? error.statusCode;
+    if (status === 429) return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'client';
+
+    const code = error.code || '';
+    const message = String(error.message || '');
+    if (TIMEOUT_CODES.includes(code) || /timeout|timed out/i.test(message)) return 'timeout';
+    if (NETWORK_CODES.includes(code) || /socket hang up|ECONNRESET|ECONNREFUSED|EAI_AGAIN|network error/i.test(message)) {
+      return 'network';
+    }
+    return 'other';
+  }
+
+  /**
+   * 读取 Retry-After（秒数或 HTTP 日期）
+   * @param {Error} error
+   * @returns {number|null} 等待毫秒数
+   */
+  retryAfter(error) {
+    const value = error.response?.headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 指数退避 + 全抖动：在 [0, min(maxDelay, baseDelay * 2^attempt)) 内随机
+   * @param {Object} policy 重试策略
+   * @param {number} attempt 已重试次数，从 0 开始
+   * @returns {number} 毫秒
+   */
+  backoff(policy, attempt) {
+    return Math.random() * Math.min(this.maxDelay, policy.baseDelay * 2 ** attempt);
+  }
+
+  breaker(name) {
+    if (!this.breakers[name]) {
+      this.breakers[name] = {
+        name,
+        state: 'closed',
+        consecutiveFailures: 0,
+        failures: 0,
+        successes: 0,
+        retries: 0,
+        rejected: 0,
+        lastError: null,
+        lastErrorClass: null,
+        lastFailureAt: null,
+        openedAt: null,
+        trialInFlight: false
+      };
+    }
+    return this.breakers[name];
+  }
+
+  /**
+   * 熔断检查：打开状态下直接拒绝；冷却结束后进入半开状态，只放行一个试探请求
+   * @param {Object} breaker
+   * @throws {Error} statusCode 503，circuitOpen 为 true
+   */
+  acquire(breaker) {
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.breakerCooldown) {
+      breaker.state = 'half_open';
+      breaker.trialInFlight = false;
+    }
+
+    if (breaker.state === 'closed') return;
+    if (breaker.state === 'half_open' && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return;
+    }
+
+    breaker.rejected++;
+    const waitMs = breaker.state === 'open'
+      ? Math.max(0, breaker.openedAt + this.breakerCooldown - Date.now())
+      : this.breakerCooldown;
+    const error = new Error(`上游服务 ${breaker.name} 连续失败已熔断，约 ${Math.ceil(waitMs / 1000)} 秒后恢复尝试` +
+      (breaker.lastError ? `（最近错误: ${breaker.lastError}）` : ''));
+    error.statusCode = 503;
+    error.circuitOpen = true;
+    error.retryAfter = Math.ceil(waitMs / 1000);
+    throw error;
+  }
+
+  // 上游有响应（成功或请求本身的错误）即视为健康
+  recordHealthy(breaker) {
+    breaker.consecutiveFailures = 0;
+    breaker.trialInFlight = false;
+    if (breaker.state !== 'closed') {
+      console.log(`[Resilience] ${breaker.name} 恢复，熔断关闭`);
+      breaker.state = 'closed';
+      breaker.openedAt = null;
+    }
+  }
+
+  recordFailure(breaker, errorClass, error) {
+    breaker.failures++;
+    breaker.lastError = error.message;
+    breaker.lastErrorClass = errorClass;
+    breaker.lastFailureAt = new Date().toISOString();
+    if (!RETRY_POLICIES[errorClass]) {
+      this.recordHealthy(breaker);
+      return;
+    }
+
+    breaker.consecutiveFailures++;
+    breaker.trialInFlight = false;
+    if (breaker.state === 'half_open' || breaker.consecutiveFailures >= this.breakerThreshold) {
+      if (breaker.state !== 'open') {
+        console.warn(`[Resilience] ${breaker.name} 连续失败 ${breaker.consecutiveFailures} 次，熔断 ${this.breakerCooldown}ms`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * 通过熔断器调用上游，临时性错误按策略重试
+   * fn 每次重试都会重新执行，需自行重建请求体、文件流等一次性资源
+   * 错误带 retryable === false 时不再重试（如流式响应已输出部分结果）
+   * @param {string} name 上游名称，每个名称一个熔断器，如 ai:gemini、adobe
+   * @param {Function} fn (attempt) => Promise
+   * @param {Object} [options] { onRetry({ attempt, delay, errorClass, error }) }
+   * @returns {Promise<*>} fn 的结果
+   */
+  async call(name, fn, options = {}) {
+    const breaker = this.breaker(name);
+
+    for (let attempt = 0; ; attempt++) {
+      this.acquire(breaker);
+      try {
+        const result = await fn(attempt);
+        breaker.successes++;
+        this.recordHealthy(breaker);
+        return result;
+      } catch (error) {
+        const errorClass = this.classify(error);
+        this.recordFailure(breaker, errorClass, error);
+        error.errorClass = errorClass;
+        error.attempts = attempt + 1;
+
+        const policy = RETRY_POLICIES[errorClass];
+        if (!policy || !this.retriesEnabled || error.retryable === false ||
+            attempt >= policy.retries || breaker.state === 'open') {
+          throw error;
+        }
+
+        const retryAfter = this.retryAfter(error);
+        if (retryAfter !== null && retryAfter > this.maxRetryAfter) throw error;
+        const delay = retryAfter !== null ? retryAfter : this.backoff(policy, attempt);
+
+        breaker.retries++;
+        console.warn(`[Resilience] ${name} ${errorClass}: ${error.message}，${Math.round(delay)}ms 后第 ${attempt + 1} 次重试`);
+        if (options.onRetry) {
+          options.onRetry({ attempt: attempt + 1, delay: Math.round(delay), errorClass, error: error.message });
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 各上游熔断器状态，用于 /api/status
+   * @returns {Object}
+   */
+  status() {
+    return {
+      retriesEnabled: this.retriesEnabled,
+      breakerThreshold: this.breakerThreshold,
+      breakerCooldownMs: this.breakerCooldown,
+      breakers: Object.values(this.breakers).map(b => ({
+        name: b.name,
+        state: b.state,
+        consecutiveFailures: b.consecutiveFailures,
+        failures: b.failures,
+        successes: b.successes,
+        retries: b.retries,
+        rejected: b.rejected,
+        lastError: b.lastError,
+        lastErrorClass: b.lastErrorClass,
+        lastFailureAt: b.lastFailureAt,
+        openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+        nextAttemptAt: b.state === 'open' ? new Date(b.openedAt + this.breakerCooldown).toISOString() : null
+      }))
+    };
+  }
+}
+
+module.exports = new ResilienceService();
@@ -0,0 +1,269 @@
+/**
+ * 章节结构重建服务
+ * 根据 Adobe 结构路径（如 //Document/Sect/H2[3]）把扁平的元素列表还原为章节树，
+ * 没有结构路径的元素（本地提取器）按编号标题和常见章节名推断
+ */
+
+// 规范化章节角色，按顺序匹配标题
+const SECTION_ROLES = [
+  { role: 'abstract', pattern: /^(abstract|summary|摘\s*要)$/i },
+  { role: 'keywords', pattern: /^(key\s*words?|index terms|关键词|关键字)$/i },
+  { role: 'introduction', pattern: /^(introduction|background|overview|motivation|引\s*言|绪\s*论|前\s*言|背景)$/i },
+  { role: 'relatedWork', pattern: /^(related work|related works|prior work|literature review|相关工作|文献综述)$/i },
+  { role: 'methods', pattern: /^(methods?|methodology|approach|proposed method|materials and methods|model|framework|方法|研究方法|模型)$/i },
+  { role: 'experiments', pattern: /^(experiments?|experimental setup|experimental results|evaluation|实验|实验设置)$/i },
+  { role: 'results', pattern: /^(results?|results and discussion|findings|结果|实验结果)$/i },
+  { role: 'discussion', pattern: /^(discussion|analysis|limitations|讨论|分析)$/i },
+  { role: 'conclusion', pattern: /^(conclusions?|concluding remarks|conclusion and future work|summary and conclusions?|future work|结论|总结|结论与展望)$/i },
+  { role: 'acknowledgments', pattern: /^(acknowledge?ments?|致\s*谢)$/i },
+  { role: 'references', pattern: /^(references|bibliography|works cited|literature cited|参考文献)$/i },
+  { role: 'appendix', pattern: /^(appendix|appendices|supplementary material|附\s*录)(\s+[A-Z0-9].*)?$/i }
+];
+
+// 标题前的编号：1 / 2.3 / IV. / A.1. / 一、
+const HEADING_NUMBER = /^(\d+(?:\.\d+)*\.?\s+|(?:[IVX]+|[A-H](?:\.\d+)*)[.)]\s+|[一二三四五六七八九十]+、\s*)/;
+
+class SectionService {
+  /**
+   * 构建章节树
+   * @param {Array<Object>} elements pdfService 处理后的元素列表
+   * @returns {Array<Object>} 顶层章节列表
+   */
+  buildSections(elements = []) {
+    const sections = [];
+    const stack = [];
+    let front = null;
+    let counter = 0;
+
+    elements.forEach((element, index) => {
+      // 页眉页脚不属于任何章节
+      if (element.role === 'header' || element.role === 'footer') return;
+
+      const heading = this.detectHeading(element);
+
+      if (heading) {
+        // 关闭同级或更深的章节
+        while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+          stack.pop();
+        }
+
+        const section = {
+          id: `sec-${++counter}`,
+          title: heading.title,
+          number: heading.number,
+          level: heading.level,
+          role: this.detectRole(heading.title),
+          page: element.page,
+          path: element.path,
+          elementIndex: index,
+          content: [],
+          children: []
+        };
+
+        // 子章节继承父章节的角色，例如 Methods 下的 3.1 Encoder
+        if (!section.role && stack.length > 0) {
+          section.role = stack[stack.length - 1].role;
+        }
+
+        if (stack.length > 0) {
+          stack[stack.length - 1].children.push(section);
+        } else {
+          sections.push(section);
+        }
+        stack.push(section);
+        return;
+      }
+
+      const item = this.toContentItem(element, index);
+      if (!item) return;
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].content.push(item);
+      } else {
+        // 第一个标题之前的内容（标题、作者、摘要等）
+        if (!front) {
+          front = {
+            id: 'sec-front',
+            title: '',
+            number: null,
+            level: 0,
+            role: 'front',
+            page: element.page,
+            path: element.path,
+            elementIndex: index,
+            content: [],
+            children: []
+          };
+          sections.unshift(front);
+        }
+        front.content.push(item);
+      }
+    });
+
+    if (front) this.splitInlineAbstract(sections, front);
+
+    return sections;
+  }
+
+  /**
+   * 判断元素是否为标题，返回 { title, number, level }
+   */
+  detectHeading(element) {
+    if (element.type !== 'text' || !element.text) return null;
+    if (element.role && element.role !== 'body') return null;
+
+    const text = element.text.trim();
+    const segment = this.lastPathSegment(element.path);
+
+    if (segment) {
+      const match = segment.match(/^H(\d)$/);
+      if (!match) return null;
+      return { ...this.splitNumber(text), level: parseInt(match[1], 10) };
+    }
+
+    // 无结构路径：只接受短文本，且为编号标题或已知章节名
+    if (text.length > 120 || /[.。]$/.test(text)) return null;
+
+    const { title, number } = this.splitNumber(text);
+    if (number && /^\d+(\.\d+)*$/.test(number) && /^[A-Z一-龥]/.test(title)) {
+      return { title, number, level: number.split('.').length };
+    }
+    if (this.detectRole(title)) {
+      return { title, number, level: 1 };
+    }
+    return null;
+  }
+
+  /**
+   * 取结构路径最后一段的标签名，例如 //Document/Sect[2]/H2[3] -> H2
+   */
+  lastPathSegment(elementPath) {
+    if (!elementPath) return null;
+    const segments = elementPath.split('/').filter(Boolean);
+    const last = segments[segments.length - 1] || '';
+    return last.replace(/\[\d+\]$/, '');
+  }
+
+  splitNumber(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    const match = clean.match(HEADING_NUMBER);
+    if (!match) return { title: clean, number: null };
+    return {
+      title: clean.slice(match[0].length).trim(),
+      number: match[1].replace(/[.、)\s]+$/, '')
+    };
+  }
+
+  /**
+   * 识别规范化的章节角色
+   * @param {string} title 去掉编号后的标题
+   * @returns {string|null}
+   */
+  detectRole(title) {
+    const normalized = (title || '').replace(/[:：.]+$/, '').trim();
+    const found = SECTION_ROLES.find(({ pattern }) => pattern.test(normalized));
+    return found ? found.role : null;
+  }
+
+  toContentItem(element, index) {
+    if (element.type === 'text') {
+      if (!element.text) return null;
+      return { type: 'text', index, page: element.page, text: element.text };
+    }
+    if (element.type === 'image' || element.type === 'table') {
+      return { type: element.type, index, page: element.page, key: element.key };
+    }
+    return null;
+  }
+
+  /**
+   * 很多论文的摘要是 "Abstract—..." 形式的正文段落而不是标题，
+   * 从前置内容中把它拆成独立的 abstract 章节
+   */
+  splitInlineAbstract(sections, front) {
+    if (this.findByRole(sections, 'abstract')) return;
+
+    const position = front.content.findIndex(item =>
+      item.type === 'text' && /^\s*(abstract|摘\s*要)\s*[—:：.\-–]?/i.test(item.text)
+    );
+    if (position === -1) return;
+
+    const first = front.content[position];
+    const abstract = {
+      id: 'sec-abstract',
+      title: 'Abstract',
+      number: null,
+      level: 1,
+      role: 'abstract',
+      page: first.page,
+      path: undefined,
+      elementIndex: first.index,
+      content: front.content.slice(position).map((item, i) => i === 0
+        ? { ...item, text: item.text.replace(/^\s*(abstract|摘\s*要)\s*[—:：.\-–]?\s*/i, '') }
+        : item),
+      children: []
+    };
+    front.content = front.content.slice(0, position);
+    sections.splice(sections.indexOf(front) + 1, 0, abstract);
+  }
+
+  /**
+   * 深度优先查找第一个指定角色的章节
+   * @param {Array<Object>} sections 章节树
+   * @param {string} role 角色
+   * @returns {Object|null}
+   */
+  findByRole(sections, role) {
+    for (const section of sections) {
+      if (section.role === role) return section;
+      const found = this.findByRole(section.children, role);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * 获取章节文本（包含子章节）
+   * @param {Object} section 章节
+   * @returns {string}
+   */
+  getSectionText(section) {
+    if (!section) return '';
+    const own = section.content
+      .filter(item => item.type === 'text')
+      .map(item => item.text);
+    const children = section.children.map(child =>
+      [child.title, this.getSectionText(child)].filter(Boolean).join('\n')
+    );
+    return [...own, ...children].filter(Boolean).join('\n');
+  }
+
+  /**
+   * 为 LLM 组织输入文本：优先放入摘要和结论，剩余额度填充正文
+   * @param {Array<Object>} sections 章节树
+   * @param {string} fullText 全文
+   * @param {number} maxLength 最大字符数
+   * @returns {string}
+   */
+  buildPromptContext(sections, fullText, maxLength = 50000) {
+    const abstract = this.getSectionText(this.findByRole(sections || [], 'abstract'));
+    const conclusion = this.getSectionText(this.findByRole(sections || [], 'conclusion'));
+
+    if (!abstract && !conclusion) {
+      return fullText.substring(0, maxLength);
+    }
+
+    const parts = [];
+    if (abstract) parts.push(`【摘要】\n${abstract}`);
+    if (conclusion) parts.push(`【结论】\n${conclusion}`);
+
+    const head = parts.join('\n\n');
+    const remaining = maxLength - head.length - 20;
+    if (remaining > 0) {
+      parts.push(`【正文】\n${fullText.substring(0, remaining)}`);
+    }
+    return parts.join('\n\n').substring(0, maxLength);
+  }
+}
+
+module.exports = new SectionService();
@@ -0,0 +1,376 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const cacheService = require('./cacheService');
+const { escapeInline } = require('./markdown');
+
+// 解析为 number 的单元格：1,234.5 / -0.5 / −0.5 / (3.2)（括号数值仅在会计记法下解析，见 parseCell）
+const NUMBER_PATTERN = /^\(?([+\-−–]?)\s*(\d{1,3}(?:,\d{3})+|\d+)?(\.\d+)?\)?$/;
+// 数值型单元格：另含单位、误差和显著性标记，如 12.3% / 85.3±0.2 / 92.1*，只用于判定表头和对齐，值保持字符串
+const MEASURE_PATTERN = /^\(?[+\-−–]?\s*(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?\)?\s*(?:%|‰)?(?:\s*(?:±|\+\/-|\+-)\s*[\d.]+\s*%?)?\*?$/;
+
+/**
+ * 表格数据服务
+ * 把 Adobe 输出的 CSV / XLSX 表格统一解析为二维数组，并转换为 JSON、Markdown、HTML、CSV
+ */
+class TableService {
+  /**
+   * 读取缓存表格
+   * @param {string} key 表格key
+   * @returns {Promise<{rows: Array<Array<string>>, merges: Array<Object>, sourceFormat: string}|null>}
+   */
+  async loadTable(key) {
+    const tablePath = cacheService.getTablePath(key);
+    if (!tablePath) return null;
+
+    const ext = path.extname(tablePath).toLowerCase();
+    if (ext === '.csv') {
+      const content = await fs.readFile(tablePath, 'utf8');
+      return { rows: this.parseCSV(content), merges: [], sourceFormat: 'csv' };
+    }
+    if (ext === '.xlsx') {
+      return { ...this.parseXLSX(await fs.readFile(tablePath)), sourceFormat: 'xlsx' };
+    }
+    // 旧版 Excel（.xls）是二进制格式，无法解析，只能下载原文件
+    const error = new Error(`不支持解析 ${ext} 表格，请不带 format 参数下载原文件`);
+    error.statusCode = 415;
+    throw error;
+  }
+
+  /**
+   * 解析 CSV（RFC 4180，支持引号、转义引号和字段内换行）
+   * @param {string} content CSV 文本
+   * @returns {Array<Array<string>>}
+   */
+  parseCSV(content) {
+    const text = content.replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return this.normalizeRows(rows.filter(r => r.some(cell => cell.trim())));
+  }
+
+  /**
+   * 解析 XLSX 的第一个工作表，保留合并单元格信息
+   * @param {Buffer} buffer XLSX 数据
+   * @returns {{rows: Array<Array<string>>, merges: Array<Object>}}
+   */
+  parseXLSX(buffer) {
+    const zip = new AdmZip(buffer);
+    const read = (name) => {
+      const entry = zip.getEntry(name);
+      return entry ? entry.getData().toString('utf8') : '';
+    };
+
+    const sharedStrings = [...read('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map(m => [...m[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => this.decodeXML(t[1])).join(''));
+
+    const sheetName = zip.getEntries()
+      .map(e => e.entryName)
+      .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+      .sort()[0];
+    if (!sheetName) throw new Error('XLSX 中未找到工作表');
+    const sheet = read(sheetName);
+
+    const rows = [];
+    for (const cellMatch of sheet.matchAll(/<c r="([A-Z]+)(\d+)"([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const [, colRef, rowRef, attrs, body = ''] = cellMatch;
+      const type = (attrs.match(/t="(\w+)"/) || [])[1];
+      let value = '';
+
+      if (type === 'inlineStr') {
+        value = [...body.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => this.decodeXML(t[1])).join('');
+      } else {
+        const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        if (raw !== undefined) {
+          value = type === 's' ? (sharedStrings[parseInt(raw, 10)] || '') : this.decodeXML(raw);
+        }
+      }
+
+      const r = parseInt(rowRef, 10) - 1;
+      const c = this.columnIndex(colRef);
+      rows[r] = rows[r] || [];
+      rows[r][c] = value;
+    }
+
+    const merges = [...sheet.matchAll(/<mergeCell ref="([A-Z]+)(\d+):([A-Z]+)(\d+)"\s*\/>/g)]
+      .map(m => ({
+        startRow: parseInt(m[2], 10) - 1,
+        startCol: this.columnIndex(m[1]),
+        endRow: parseInt(m[4], 10) - 1,
+        endCol: this.columnIndex(m[3])
+      }));
+
+    const dense = Array.from(rows, r => Array.from(r || [], cell => cell || ''));
+    return { rows: this.normalizeRows(dense), merges };
+  }
+
+  columnIndex(letters) {
+    return letters.split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+  }
+
+  decodeXML(str) {
+    return str
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 补齐列数并去掉单元格首尾空白
+   */
+  normalizeRows(rows) {
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    return rows.map(r => Array.from({ length: width }, (_, i) => (r[i] || '').replace(/\s+/g, ' ').trim()));
+  }
+
+  /**
+   * 转换为结构化数据：识别表头行、展开合并单元格、解析数值
+   * @param {Object} table loadTable 的返回值
+   * @param {Object} [options] { accounting }，见 parseCell
+   * @returns {Object} { columns, headerRows, rows, rowCount, columnCount }
+   */
+  toStructured(table, options = {}) {
+    const grid = this.expandMerges(table.rows, table.merges);
+    const headerCount = this.detectHeaderRows(grid, table.merges);
+    const headerRows = grid.slice(0, headerCount);
+    const bodyRows = grid.slice(headerCount);
+    const columnCount = grid[0]?.length || 0;
+
+    const columns = Array.from({ length: columnCount }, (_, c) => {
+      // 多行表头按层级拼接，合并单元格展开后的重复值只保留一次
+      const parts = [];
+      for (const row of headerRows) {
+        if (row[c] && parts[parts.length - 1] !== row[c]) parts.push(row[c]);
+      }
+      const values = bodyRows.map(row => this.parseCell(row[c], options)).filter(v => v !== null);
+      const numeric = values.length > 0 && values.every(v => typeof v === 'number');
+      return {
+        name: parts.join(' / ') || `Column ${c + 1}`,
+        type: numeric ? 'number' : 'string'
+      };
+    });
+
+    const rows = bodyRows.map(row => row.map(cell => this.parseCell(cell, options)));
+
+    return {
+      columns,
+      headerRows,
+      rows,
+      rowCount: rows.length,
+      columnCount
+    };
+  }
+
+  /**
+   * 合并单元格展开为左上角的值；CSV 没有合并信息时，表头中的空单元格向右延续左侧的值
+   */
+  expandMerges(rows, merges = []) {
+    const grid = rows.map(r => [...r]);
+    for (const m of merges) {
+      const value = grid[m.startRow]?.[m.startCol] || '';
+      for (let r = m.startRow; r <= m.endRow && r < grid.length; r++) {
+        for (let c = m.startCol; c <= m.endCol && c < grid[r].length; c++) {
+          grid[r][c] = value;
+        }
+      }
+    }
+
+    if (merges.length === 0 && grid.length > 2) {
+      const headerCount = this.detectHeaderRows(grid, []);
+      // 只对多行表头的上层做横向填充，例如 "ImageNet,,COCO," 跨两列的分组标题
+      for (let r = 0; r < headerCount - 1; r++) {
+        for (let c = 1; c < grid[r].length; c++) {
+          if (!grid[r][c] && grid[r][c - 1] && grid[r + 1][c]) grid[r][c] = grid[r][c - 1];
+        }
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * 表头行判定：从顶部开始，不含数值型单元格的行视为表头（最多 3 行，至少 1 行）
+   */
+  detectHeaderRows(grid, merges = []) {
+    if (grid.length <= 1) return grid.length;
+
+    const mergedRows = new Set(merges.filter(m => m.endCol > m.startCol).map(m => m.startRow));
+    const bodyHasNumbers = grid.slice(1).some(row => row.some(cell => this.isNumeric(cell)));
+    if (!bodyHasNumbers) return 1;
+
+    let count = 0;
+    while (count < Math.min(3, grid.length - 1)) {
+      const row = grid[count];
+      const hasNumber = row.some((cell, c) => c > 0 && this.isNumeric(cell));
+      if (hasNumber && !mergedRows.has(count)) break;
+      count++;
+    }
+    return Math.max(count, 1);
+  }
+
+  /**
+   * 是否为数值型单元格（含百分比、误差、显著性标记和括号数值）
+   * @param {string} cell 单元格文本
+   * @returns {boolean}
+   */
+  isNumeric(cell) {
+    const text = (cell || '').trim();
+    return /\d/.test(text) && MEASURE_PATTERN.test(text);
+  }
+
+  /**
+   * 解析单元格：空单元格为 null，纯数值单元格转为 number，其余保持字符串
+   * 12.3%、85.3±0.2、92.1* 等带单位、误差或标记的单元格保持原文，避免丢掉这些信息；
+   * 论文表格中括号里的数值通常是标准差、置信区间或参数量，默认也保持字符串，
+   * options.accounting 为 true 时按会计记法把 (3.2) 解析为 -3.2
+   * @param {string} cell 单元格文本
+   * @param {Object} [options] { accounting }
+   * @returns {number|string|null}
+   */
+  parseCell(cell, options = {}) {
+    const text = (cell || '').trim();
+    if (!text || /^[-–—]$/.test(text)) return null;
+
+    const match = text.match(NUMBER_PATTERN);
+    if (!match || (!match[2] && !match[3])) return text;
+
+    const parenthesized = /^\(.*\)$/.test(text);
+    if (parenthesized && !options.accounting) return text;
+
+    const negative = match[1] && match[1] !== '+';
+    const value = parseFloat(`${match[2] || '0'}${match[3] || ''}`.replace(/,/g, ''));
+    return (negative || parenthesized) ? -value : value;
+  }
+
+  /**
+   * 转换为 CSV
+   */
+  toCSV(table) {
+    return table.rows
+      .map(row => row.map(cell => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','))
+      .join('\n') + '\n';
+  }
+
+  /**
+   * 转换为 Markdown 表格
+   */
+  toMarkdown(table) {
+    const { columns, rows } = this.toStructured(table);
+    if (columns.length === 0) return '';
+
+    // 数值型列（包括 12.3%、85.3±0.2 这类保持字符串的单元格）右对齐
+    const rightAligned = columns.map((col, c) => {
+      const values = rows.map(row => row[c]).filter(v => v !== null);
+      return values.length > 0 && values.every(v => typeof v === 'number' || this.isNumeric(v));
+    });
+
+    const lines = [
+      `| ${columns.map(col => escapeInline(col.name)).join(' | ')} |`,
+      `| ${rightAligned.map(right => right ? '---:' : '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(escapeInline).join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 转换为 HTML 表格，表头保留合并单元格的 colspan / rowspan
+   */
+  toHTML(table) {
+    const grid = this.expandMerges(table.rows, table.merges);
+    const headerCount = this.detectHeaderRows(grid, table.merges);
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const spans = this.headerSpans(grid.slice(0, headerCount), table.merges);
+    const thead = grid.slice(0, headerCount).map((row, r) => {
+      const cells = row.map((cell, c) => {
+        const span = spans[r][c];
+        if (!span) return '';
+        const attrs = [
+          span.colspan > 1 ? ` colspan="${span.colspan}"` : '',
+          span.rowspan > 1 ? ` rowspan="${span.rowspan}"` : ''
+        ].join('');
+        return `<th${attrs}>${escape(cell)}</th>`;
+      }).join('');
+      return `<tr>${cells}</tr>`;
+    }).join('\n');
+
+    const tbody = grid.slice(headerCount).map(row =>
+      `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    return `<table>\n<thead>\n${thead}\n</thead>\n<tbody>\n${tbody}\n</tbody>\n</table>\n`;
+  }
+
+  /**
+   * 计算表头单元格的跨度；被合并覆盖的单元格为 null
+   */
+  headerSpans(headerRows, merges = []) {
+    const spans = headerRows.map(row => row.map(() => ({ colspan: 1, rowspan: 1 })));
+
+    if (merges.length > 0) {
+      for (const m of merges) {
+        if (m.startRow >= headerRows.length) continue;
+        const endRow = Math.min(m.endRow, headerRows.length - 1);
+        for (let r = m.startRow; r <= endRow; r++) {
+          for (let c = m.startCol; c <= m.endCol; c++) spans[r][c] = null;
+        }
+        spans[m.startRow][m.startCol] = { colspan: m.endCol - m.startCol + 1, rowspan: endRow - m.startRow + 1 };
+      }
+      return spans;
+    }
+
+    // 没有合并信息时，相邻相同的上层表头合并为一个单元格
+    headerRows.forEach((row, r) => {
+      if (r === headerRows.length - 1) return;
+      for (let c = row.length - 1; c > 0; c--) {
+        if (row[c] && row[c] === row[c - 1] && spans[r][c]) {
+          spans[r][c - 1].colspan += spans[r][c].colspan;
+          spans[r][c] = null;
+        }
+      }
+    });
+    return spans;
+  }
+}
+
+module.exports = new TableService();
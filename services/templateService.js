@@ -0,0 +1,231 @@
+const path = require('path');
+
+/**
+ * 科研配图提示词模板：按图的类型固定构图和风格，内容槽位由论文分析结果填充，
+ * 同一课题组的多篇论文使用同一模板即可得到风格一致的图
+ */
+
+// 槽位及其格式化方式，列表会截断到 limit 项
+const SLOTS = {
+  title: { description: '论文标题' },
+  subject: { description: '画面主体描述（分析阶段生成的生图提示词）' },
+  keywords: { description: '关键词', limit: 6, format: items => items.join(', ') },
+  contributions: { description: '主要贡献', limit: 3, format: items => items.join('; ') },
+  methodSteps: {
+    description: '方法步骤（按流程顺序）',
+    limit: 8,
+    format: items => items.map((item, i) => `${i + 1}. ${item}`).join('\n')
+  },
+  keyNumbers: { description: '关键数值结果', limit: 5, format: items => items.map(item => `- ${item}`).join('\n') }
+};
+
+// 每行引用的槽位为空时整行省略；requires 中的槽位缺失时无法使用该模板
+const TEMPLATES = [
+  {
+    id: 'graphical-abstract',
+    name: '图形摘要',
+    description: '期刊图形摘要：问题、方法、结果一图概括',
+    aspectRatio: '4:3',
+    imageSize: '2K',
+    requires: ['subject'],
+    lines: [
+      'Graphical abstract for the scientific paper "{{title}}".',
+      'Core idea: {{subject}}',
+      'Show the problem on the left, the proposed approach in the center and the main outcome on the right. Main contributions: {{contributions}}',
+      'Highlight the key results:\n{{keyNumbers}}',
+      'Style: clean flat vector illustration, white background, limited palette of 3-4 colors, minimal short text labels, journal graphical abstract layout.'
+    ]
+  },
+  {
+    id: 'method-pipeline',
+    name: '方法流程图',
+    description: '从左到右的方法流程图，每个步骤一个模块',
+    aspectRatio: '16:9',
+    imageSize: '2K',
+    requires: ['methodSteps'],
+    lines: [
+      'Method pipeline flowchart for the paper "{{title}}".',
+      'Draw the steps from left to right as labeled boxes connected by arrows, in this order:\n{{methodSteps}}',
+      'Style: clean vector flowchart, rounded rectangles, one consistent icon per step, white background, short sans-serif labels, no paragraphs of text.'
+    ]
+  },
+  {
+    id: 'architecture-diagram',
+    name: '架构图',
+    description: '模型或系统架构框图，展示模块和数据流',
+    aspectRatio: '16:9',
+    imageSize: '2K',
+    requires: ['methodSteps'],
+    lines: [
+      'Model / system architecture diagram for the paper "{{title}}".',
+      'Components and data flow:\n{{methodSteps}}',
+      'Key concepts: {{keywords}}',
+      'Style: technical block diagram as in top-tier conference papers, modules as colored blocks, data as arrows, submodules grouped in dashed boxes, white background, concise labels.'
+    ]
+  },
+  {
+    id: 'results-infographic',
+    name: '结果信息图',
+    description: '突出关键数值结果的信息图',
+    aspectRatio: '4:5',
+    imageSize: '2K',
+    requires: ['keyNumbers'],
+    lines: [
+      'Results infographic for the paper "{{title}}".',
+      'Feature these numbers prominently as large callouts:\n{{keyNumbers}}',
+      'Context: {{contributions}}',
+      'Style: modern data infographic, a simple bar or gauge visual for each number, bold numerals, clean grid layout, white background.'
+    ]
+  },
+  {
+    id: 'cover-art',
+    name: '封面图',
+    description: '期刊封面艺术图，无文字',
+    aspectRatio: '3:4',
+    imageSize: '2K',
+    requires: ['subject'],
+    lines: [
+      'Artistic journal cover illustration inspired by the paper "{{title}}".',
+      'Visual metaphor: {{subject}}',
+      'Themes: {{keywords}}',
+      'Style: striking painterly 3D render, dramatic lighting, rich color, no text or labels, portrait composition with empty space at the top for the journal masthead.'
+    ]
+  },
+  {
+    id: 'poster-hero',
+    name: '海报主视觉',
+    description: '会议海报的主视觉图，远看清晰',
+    aspectRatio: '16:9',
+    imageSize: '2K',
+    requires: ['subject'],
+    lines: [
+      'Hero image for a conference poster about the paper "{{title}}".',
+      'Depict: {{subject}}',
+      'Key message: {{contributions}}',
+      'Style: bold high-contrast illustration readable from a distance, one large central visual, wide composition with empty margins for the poster title, no small text.'
+    ]
+  }
+];
+
+// 摘要中带数值结果的句子，用于分析结果没有 keyResults 时兜底
+const RESULT_PATTERN = /\d+(?:\.\d+)?\s*(?:%|×|倍|x\b|pp\b|points?\b|dB\b|FPS\b|ms\b)/i;
+
+class TemplateService {
+  /**
+   * 模板列表（不含模板正文）
+   * @returns {Array<Object>}
+   */
+  list() {
+    return TEMPLATES.map(template => ({
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      aspectRatio: template.aspectRatio,
+      imageSize: template.imageSize,
+      slots: this.slotsOf(template),
+      requires: template.requires
+    }));
+  }
+
+  /**
+   * 槽位说明
+   * @returns {Object} { 槽位名: 说明 }
+   */
+  slotDescriptions() {
+    return Object.fromEntries(Object.entries(SLOTS).map(([name, slot]) => [name, slot.description]));
+  }
+
+  slotsOf(template) {
+    const names = new Set();
+    for (const line of template.lines) {
+      for (const match of line.matchAll(/\{\{(\w+)\}\}/g)) names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  /**
+   * 按 ID 查找模板
+   * @param {string} id 模板 ID
+   * @returns {Object}
+   * @throws {Error} 未知模板时 statusCode 为 400
+   */
+  get(id) {
+    const template = TEMPLATES.find(t => t.id === String(id).trim().toLowerCase());
+    if (!template) {
+      const error = new Error(`未知的模板: ${id}，可选: ${TEMPLATES.map(t => t.id).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return template;
+  }
+
+  /**
+   * 从缓存的文档（提取结果 + 分析结果）中取出槽位值
+   * @param {Object|null} doc cacheService.getDocument 的结果
+   * @param {string} [subject] 请求中的提示词，文档没有分析结果时作为画面主体
+   * @returns {Object} 槽位值，列表槽位为字符串数组
+   */
+  slotsFromDocument(doc, subject) {
+    const metadata = doc?.metadata || {};
+    const analysis = doc?.analysis && doc.analysis.status !== 'failed' ? doc.analysis : {};
+    const fallbackTitle = doc?.filename ? path.parse(doc.filename).name : '';
+
+    return {
+      title: metadata.title || fallbackTitle,
+      subject: analysis.prompt || subject || '',
+      keywords: analysis.keywords?.length ? analysis.keywords : (metadata.keywords || []),
+      contributions: analysis.contributions || [],
+      methodSteps: analysis.methods || [],
+      keyNumbers: analysis.keyResults?.length ? analysis.keyResults : this.findKeyNumbers(analysis.summary)
+    };
+  }
+
+  /**
+   * 从摘要中挑出带数值结果的句子
+   * @param {string} text 摘要
+   * @returns {Array<string>}
+   */
+  findKeyNumbers(text) {
+    if (!text) return [];
+    return text
+      .split(/(?<=[。；;])|(?<=\.)\s+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => RESULT_PATTERN.test(sentence))
+      .slice(0, SLOTS.keyNumbers.limit);
+  }
+
+  /**
+   * 填充模板
+   * @param {Object} template get() 的结果
+   * @param {Object} slots 槽位值
+   * @returns {string} 生图提示词
+   * @throws {Error} 必需槽位缺失时 statusCode 为 400
+   */
+  render(template, slots) {
+    const values = {};
+    for (const [name, slot] of Object.entries(SLOTS)) {
+      const value = slots[name];
+      if (Array.isArray(value)) {
+        const items = value.map(item => String(item).trim()).filter(Boolean).slice(0, slot.limit);
+        values[name] = items.length > 0 ? slot.format(items) : '';
+      } else {
+        values[name] = value ? String(value).trim() : '';
+      }
+    }
+
+    const missing = template.requires.filter(name => !values[name]);
+    if (missing.length > 0) {
+      const error = new Error(`模板 ${template.id} 缺少内容: ${missing.map(name => SLOTS[name].description).join('、')}，` +
+        '请提供已分析的 documentId 或在 slots 中填写');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return template.lines
+      .filter(line => [...line.matchAll(/\{\{(\w+)\}\}/g)].every(match => values[match[1]]))
+      .map(line => line.replace(/\{\{(\w+)\}\}/g, (_, name) => values[name]))
+      .join('\n');
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// 缓存目录在服务加载时确定，必须先于 require 设置
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_DIR = cacheDir;
+
+const cacheService = require('../services/cacheService');
+
+const HOUR = 60 * 60 * 1000;
+
+// 把文件修改时间改到若干小时以前
+async function age(filePath, hours) {
+  const time = new Date(Date.now() - hours * HOUR);
+  await fs.utimes(filePath, time, time);
+}
+
+after(async () => {
+  await fs.remove(cacheDir);
+});
+
+test('cleanupOldFiles: 文档和表格只按单独的时限清理', async () => {
+  const image = await cacheService.saveImage('cleanup-image', Buffer.from('png'));
+  const table = await cacheService.saveTable('cleanup-table', 'a,b\n1,2\n', 'csv');
+  const document = await cacheService.saveDocument('cleanup-doc', { id: 'cleanup-doc' });
+  for (const filePath of [image, table, document]) await age(filePath, 48);
+
+  await cacheService.cleanupOldFiles(24);
+  assert.equal(fs.existsSync(image), false);
+  assert.equal(fs.existsSync(table), true);
+  assert.equal(fs.existsSync(document), true);
+
+  await cacheService.cleanupOldFiles(24, 72);
+  assert.equal(fs.existsSync(table), true);
+  assert.equal(fs.existsSync(document), true);
+
+  const result = await cacheService.cleanupOldFiles(24, 36);
+  assert.equal(fs.existsSync(table), false);
+  assert.equal(fs.existsSync(document), false);
+  assert.equal(result.deletedCount, 2);
+});
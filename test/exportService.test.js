@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// 缓存目录在服务加载时确定，必须先于 require 设置
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+process.env.CACHE_DIR = cacheDir;
+
+const sharp = require('sharp');
+const cacheService = require('../services/cacheService');
+const pdfService = require('../services/pdfService');
+const exportService = require('../services/exportService');
+
+const fixture = require('./fixtures/paper.json');
+
+/**
+ * 按 finalizeResult 的流程从夹具元素构建文档（图表标题、章节树、参考文献）
+ */
+function buildDocument() {
+  const doc = {
+    id: 'fixture',
+    filename: fixture.filename,
+    elements: structuredClone(fixture.elements),
+    metadata: { ...fixture.metadata }
+  };
+  pdfService.finalizeResult(doc, { name: 'fixture' });
+  return doc;
+}
+
+/**
+ * 把 XML 解析为只含元素名的树，标签不配对时抛错
+ */
+function parseXml(xml) {
+  const root = { name: '#document', children: [] };
+  const stack = [root];
+  const body = xml.replace(/<\?xml[^>]*\?>/, '').replace(/<!DOCTYPE[^>]*>/, '');
+
+  for (const match of body.matchAll(/<(\/?)([\w:-]+)[^>]*?(\/?)>/g)) {
+    const [, closing, name, selfClosing] = match;
+    if (closing) {
+      const open = stack.pop();
+      assert.equal(open.name, name, `</${name}> 与 <${open.name}> 不配对`);
+      continue;
+    }
+    const node = { name, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+
+  assert.equal(stack.length, 1, `未闭合的元素: ${stack.slice(1).map(node => node.name).join(' > ')}`);
+  return root.children[0];
+}
+
+function child(node, name) {
+  return node.children.find(c => c.name === name);
+}
+
+// 按路径取第一个匹配的节点，如 front/article-meta/title-group
+function find(node, elementPath) {
+  return elementPath.split('/').reduce((current, name) => current && child(current, name), node);
+}
+
+function findAll(node, name) {
+  return node.children.flatMap(c => [...(c.name === name ? [c] : []), ...findAll(c, name)]);
+}
+
+before(async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  await cacheService.saveImage('fixture-fig-1', png);
+  for (const [key, csv] of Object.entries(fixture.tables)) {
+    await cacheService.saveTable(key, csv, 'csv');
+  }
+});
+
+after(async () => {
+  await fs.remove(cacheDir);
+});
+
+test('JATS: front / body / back 顺序和必需元素', async () => {
+  const article = parseXml(await exportService.toJATS(buildDocument()));
+
+  assert.equal(article.name, 'article');
+  assert.deepEqual(article.children.map(c => c.name), ['front', 'body', 'back']);
+
+  const meta = find(article, 'front/article-meta');
+  assert.ok(meta, '缺少 front/article-meta');
+  const metaOrder = meta.children.map(c => c.name).filter(name => name !== 'aff');
+  assert.deepEqual(metaOrder, ['article-id', 'title-group', 'contrib-group', 'abstract', 'kwd-group']);
+  assert.ok(find(meta, 'title-group/article-title'));
+  assert.equal(findAll(find(meta, 'contrib-group'), 'contrib').length, 2);
+
+  const body = child(article, 'body');
+  const sections = body.children.filter(c => c.name === 'sec');
+  assert.equal(sections.length, 4, '正文应为 Introduction / Method / Results / Conclusion 四节');
+  assert.ok(sections.every(sec => sec.children[0].name === 'label' && sec.children[1].name === 'title'));
+  assert.ok(child(sections[1], 'sec'), '2.1 Training 应嵌套在 2 Method 中');
+
+  const figures = findAll(body, 'fig');
+  assert.equal(figures.length, 1);
+  assert.deepEqual(figures[0].children.map(c => c.name), ['label', 'caption', 'graphic']);
+  const tables = findAll(body, 'table-wrap');
+  assert.equal(tables.length, 1);
+  assert.deepEqual(tables[0].children.map(c => c.name), ['label', 'caption', 'table']);
+
+  const back = child(article, 'back');
+  assert.deepEqual(back.children.map(c => c.name), ['ack', 'ref-list']);
+  assert.equal(findAll(child(back, 'ref-list'), 'ref').length, 2);
+});
+
+test('JATS: 文本转义，图表标题不重复输出为段落', async () => {
+  const xml = await exportService.toJATS(buildDocument());
+
+  assert.match(xml, /100k tokens &amp; more/);
+  assert.match(xml, /<caption><p>Overview of the sparse attention pipeline\.<\/p><\/caption>/);
+  assert.doesNotMatch(xml, /<p>Figure 1: Overview/);
+  assert.match(xml, /<article-id pub-id-type="doi">10\.1234\/example\.5678<\/article-id>/);
+});
+
+test('JATS: 参考文献解析字段进入 element-citation', async () => {
+  const xml = await exportService.toJATS(buildDocument());
+
+  assert.match(xml, /<ref id="[^"]+"><label>1<\/label><element-citation publication-type="confproc">/);
+  assert.match(xml, /<article-title>Attention is all you need<\/article-title>/);
+  assert.match(xml, /<pub-id pub-id-type="arxiv">2004\.05150<\/pub-id>/);
+});
+
+test('Markdown: PDF 文本中的 HTML 和 Markdown 控制字符被转义', async () => {
+  const doc = buildDocument();
+  const paragraph = doc.sections.find(section => section.role === 'introduction').content[0];
+  paragraph.text = '<img src=x onerror=alert(1)> uses *bold* and [link](javascript:x)';
+  doc.elements.find(el => el.type === 'image').caption = 'Figure 1: a_b <b>c</b>';
+  doc.sections.find(section => section.role === 'conclusion').content[0].text = '1. not a list';
+
+  const markdown = await exportService.toMarkdown(doc);
+
+  assert.doesNotMatch(markdown, /<img|<b>/);
+  assert.match(markdown, /&lt;img src=x onerror=alert\(1\)&gt; uses \\\*bold\\\* and \\\[link\\\]\(javascript:x\)/);
+  assert.match(markdown, /!\[Figure 1: a\\_b &lt;b&gt;c&lt;\/b&gt;\]\(\/api\/cache\/image\/fixture-fig-1\)/);
+  assert.match(markdown, /^1\\\. not a list$/m);
+  assert.match(markdown, /100k tokens &amp; more/);
+  assert.match(markdown, /^\| Model \| Accuracy \|$/m);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, extractJSON } = require('../services/jsonSchema');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['prompt', 'keywords'],
+  additionalProperties: false,
+  properties: {
+    prompt: { type: 'string', minLength: 1 },
+    keywords: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string' } },
+    style: { type: 'string', enum: ['flat', '3d'] },
+    count: { type: 'integer' }
+  }
+};
+
+test('validate: 合法数据没有错误', () => {
+  assert.deepEqual(validate(SCHEMA, { prompt: 'a figure', keywords: ['x'], style: 'flat', count: 2 }), []);
+});
+
+test('validate: 错误带字段路径', () => {
+  const errors = validate(SCHEMA, { prompt: '  ', keywords: ['x', 1, 'y', 'z'], style: 'oil', count: 1.5, extra: true });
+
+  assert.ok(errors.some(e => e.startsWith('$.prompt ')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.keywords ') && e.includes('3')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.keywords[1] ')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.style ')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.count ')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.extra ')), errors.join('\n'));
+});
+
+test('validate: 缺少必需字段和类型不符', () => {
+  assert.equal(validate(SCHEMA, { prompt: 'a' }).length, 1);
+  assert.deepEqual(validate(SCHEMA, []), ['$ 应为 object，实际为 array']);
+  assert.deepEqual(validate(SCHEMA, null), ['$ 应为 object，实际为 null']);
+});
+
+test('extractJSON: 代码块、前后说明文字', () => {
+  assert.deepEqual(extractJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJSON('Here you go: {"a": {"b": 2}} Hope it helps.'), { a: { b: 2 } });
+  assert.throws(() => extractJSON('no json here'), SyntaxError);
+});
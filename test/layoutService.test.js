@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const layoutService = require('../services/layoutService');
+
+const PAGE = { width: 600, height: 800 };
+
+const text = (id, bounds, extra = {}) => ({ type: 'text', page: 1, text: id, bounds, ...extra });
+
+test('orderElements: 双栏页面先左栏后右栏，通栏标题在前', () => {
+  const elements = [
+    text('L1', [50, 600, 280, 660]),
+    text('R1', [320, 600, 550, 660]),
+    text('L2', [50, 500, 280, 560]),
+    text('R2', [320, 500, 550, 560]),
+    text('L3', [50, 400, 280, 460]),
+    text('R3', [320, 400, 550, 460]),
+    text('Title', [50, 700, 550, 730])
+  ];
+  const { elements: ordered, multiColumnPages } = layoutService.orderElements(elements, [PAGE]);
+
+  assert.deepEqual(ordered.map(el => el.text), ['Title', 'L1', 'L2', 'L3', 'R1', 'R2', 'R3']);
+  assert.deepEqual(multiColumnPages, [1]);
+  assert.ok(ordered.every(el => el.role === 'body'));
+});
+
+test('orderElements: 单栏页面保持提取器的顺序', () => {
+  // 并排的两张图和旁注：按坐标排序会把右图排到左图的说明文字之前
+  const elements = [
+    text('Intro', [50, 700, 550, 760]),
+    { type: 'image', page: 1, key: 'fig-left', bounds: [50, 550, 290, 650] },
+    text('(a) left', [50, 420, 290, 440]),
+    { type: 'image', page: 1, key: 'fig-right', bounds: [310, 560, 550, 650] },
+    text('(b) right', [310, 420, 550, 440]),
+    text('Margin note', [560, 600, 595, 700]),
+    text('Outro', [50, 300, 550, 400])
+  ];
+  const { elements: ordered, multiColumnPages } = layoutService.orderElements(elements, [PAGE]);
+
+  assert.deepEqual(ordered.map(el => el.key || el.text), elements.map(el => el.key || el.text));
+  assert.deepEqual(multiColumnPages, []);
+});
+
+test('orderElements: 页码标为页脚，多页重复的边缘文本标为页眉', () => {
+  const pages = [1, 2, 3];
+  const elements = pages.flatMap(page => [
+    { ...text('Proc. Test Conf. 2024', [50, 770, 250, 780]), page },
+    { ...text(`Body of page ${page}`, [50, 400, 550, 600]), page },
+    { ...text(String(page), [295, 20, 305, 30]), page }
+  ]);
+  const { elements: ordered } = layoutService.orderElements(elements, pages.map(() => PAGE));
+
+  const page2 = ordered.filter(el => el.page === 2);
+  assert.deepEqual(page2.map(el => el.role), ['header', 'body', 'footer']);
+});
+
+test('orderElements: 小字号编号段落标为脚注，排在正文之后', () => {
+  const elements = [
+    text('1 See the appendix.', [50, 60, 550, 80], { fontSize: 8 }),
+    text('Para A', [50, 600, 550, 660], { fontSize: 10 }),
+    text('Para B', [50, 500, 550, 560], { fontSize: 10 }),
+    text('Para C', [50, 400, 550, 460], { fontSize: 10 })
+  ];
+  const { elements: ordered } = layoutService.orderElements(elements, [PAGE]);
+
+  assert.deepEqual(ordered.map(el => el.text), ['Para A', 'Para B', 'Para C', '1 See the appendix.']);
+  assert.equal(ordered[3].role, 'footnote');
+});
+
+test('orderElements: 分栏页面中没有坐标的元素保持相对顺序，排在正文之后', () => {
+  const elements = [
+    { type: 'image', page: 1, key: 'img-a' },
+    text('R1', [320, 560, 550, 660]),
+    text('L1', [50, 560, 280, 660]),
+    text('R2', [320, 420, 550, 520]),
+    text('L2', [50, 420, 280, 520]),
+    { type: 'image', page: 1, key: 'img-b' }
+  ];
+  const { elements: ordered } = layoutService.orderElements(elements, [PAGE]);
+
+  assert.deepEqual(ordered.map(el => el.key || el.text), ['L1', 'L2', 'R1', 'R2', 'img-a', 'img-b']);
+});
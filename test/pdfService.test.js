@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// 缓存目录在服务加载时确定，必须先于 require 设置
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-test-'));
+process.env.CACHE_DIR = path.join(tempDir, 'cache');
+
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const cacheService = require('../services/cacheService');
+const pdfService = require('../services/pdfService');
+
+const SIZE = [600, 800];
+const pdfPath = path.join(tempDir, 'pages.pdf');
+const text = (page, chars) => ({ type: 'text', page, text: 'x'.repeat(chars), bounds: [50, 400, 550, 420] });
+
+before(async () => {
+  const pdfDoc = await PDFDocument.create();
+  const png = await pdfDoc.embedPng(
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#cccccc' } }).png().toBuffer()
+  );
+
+  // 1 空白页
+  pdfDoc.addPage(SIZE);
+  // 2 纯矢量图
+  pdfDoc.addPage(SIZE).drawRectangle({ x: 50, y: 50, width: 500, height: 700 });
+  // 3 整页扫描图
+  pdfDoc.addPage(SIZE).drawImage(png, { x: 0, y: 0, width: SIZE[0], height: SIZE[1] });
+  // 4 文字充足的页面
+  pdfDoc.addPage(SIZE).drawImage(png, { x: 0, y: 0, width: SIZE[0], height: SIZE[1] });
+  // 5 有少量文字的扫描页
+  pdfDoc.addPage(SIZE).drawImage(png, { x: 0, y: 0, width: SIZE[0], height: SIZE[1] });
+  // 6 少量文字加小图
+  pdfDoc.addPage(SIZE).drawImage(png, { x: 50, y: 50, width: 100, height: 100 });
+
+  await fs.writeFile(pdfPath, await pdfDoc.save());
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('detectLowTextPages: 空白页和纯矢量图页面不做 OCR', async () => {
+  const pages = await pdfService.detectLowTextPages({ elements: [], document: {} }, pdfPath);
+  assert.ok(!pages.includes(1));
+  assert.ok(!pages.includes(2));
+});
+
+test('detectLowTextPages: 图片有位置时按覆盖面积判断', async () => {
+  const result = {
+    document: {},
+    elements: [
+      { type: 'image', page: 3, key: 'a', bounds: [0, 0, 600, 800] },
+      text(4, 200),
+      { type: 'image', page: 4, key: 'b', bounds: [0, 0, 600, 800] },
+      text(5, 20),
+      { type: 'image', page: 5, key: 'c', bounds: [0, 0, 600, 700] },
+      text(6, 20),
+      { type: 'image', page: 6, key: 'd', bounds: [50, 50, 150, 150] }
+    ]
+  };
+
+  assert.deepEqual(await pdfService.detectLowTextPages(result, pdfPath), [3, 5]);
+});
+
+test('detectLowTextPages: 图片没有位置时，无文字且含位图的页面视为扫描页', async () => {
+  const result = {
+    document: { selectedPages: [1, 2, 3, 5] },
+    elements: [
+      { type: 'image', page: 3, key: 'a' },
+      text(5, 20),
+      { type: 'image', page: 5, key: 'c' }
+    ]
+  };
+
+  assert.deepEqual(await pdfService.detectLowTextPages(result, pdfPath), [3]);
+});
+
+test('detectLowTextPages: 只检查选中的页面', async () => {
+  const result = { document: { selectedPages: [1, 2, 4] }, elements: [] };
+  assert.deepEqual(await pdfService.detectLowTextPages(result, pdfPath), [4]);
+});
+
+test('replacePages: 替换页面的元素和引用，删除不再使用的图片和表格', async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  await cacheService.saveImage('replace-kept', png);
+  await cacheService.saveImage('replace-dropped', png);
+  await cacheService.saveTable('replace-table', 'a,b\n1,2\n', 'csv');
+
+  const result = {
+    elements: [
+      { type: 'image', page: 1, key: 'replace-kept' },
+      { type: 'image', page: 2, key: 'replace-dropped' },
+      { type: 'table', page: 2, key: 'replace-table' },
+      text(3, 10)
+    ],
+    imageReferences: [{ key: 'replace-kept', page: 1 }, { key: 'replace-dropped', page: 2 }],
+    tableReferences: [{ key: 'replace-table', page: 2 }]
+  };
+  await pdfService.replacePages(result, { elements: [text(2, 100)] }, [2]);
+
+  assert.deepEqual(result.elements.map(el => el.page), [1, 2, 3]);
+  assert.equal(result.elements[1].text.length, 100);
+  assert.deepEqual(result.imageReferences.map(ref => ref.key), ['replace-kept']);
+  assert.deepEqual(result.tableReferences, []);
+  assert.ok(cacheService.getImagePath('replace-kept'));
+  assert.equal(cacheService.getImagePath('replace-dropped'), null);
+  assert.equal(cacheService.getTablePath('replace-table'), null);
+});
+
+test('shouldAutoOcr: 默认关闭，请求参数优先于环境变量', () => {
+  const previous = process.env.PDF_AUTO_OCR;
+  try {
+    delete process.env.PDF_AUTO_OCR;
+    assert.equal(pdfService.shouldAutoOcr({}), false);
+    assert.equal(pdfService.shouldAutoOcr({ autoOcr: 'true' }), true);
+
+    process.env.PDF_AUTO_OCR = 'true';
+    assert.equal(pdfService.shouldAutoOcr({}), true);
+    assert.equal(pdfService.shouldAutoOcr({ autoOcr: 'false' }), false);
+  } finally {
+    if (previous === undefined) delete process.env.PDF_AUTO_OCR;
+    else process.env.PDF_AUTO_OCR = previous;
+  }
+});
+
+test('detectOcrLocale: 只读取本地文本层，不调用 Adobe', async () => {
+  const { local, adobe } = pdfService.providers;
+  const forbidden = async () => assert.fail('语言检测不应调用 Adobe');
+  pdfService.providers.adobe = { ...adobe, extract: forbidden, ocr: forbidden };
+  try {
+    pdfService.providers.local = { isAvailable: () => false };
+    assert.equal(await pdfService.detectOcrLocale(pdfPath), null);
+
+    pdfService.providers.local = { isAvailable: () => true, extractText: async () => '' };
+    assert.equal(await pdfService.detectOcrLocale(pdfPath), null);
+
+    pdfService.providers.local = {
+      isAvailable: () => true,
+      extractText: async () => '本文提出一种基于稀疏注意力的长文档理解方法，在多个公开数据集上取得了显著的效果提升。'.repeat(2)
+    };
+    assert.equal((await pdfService.detectOcrLocale(pdfPath)).locale, 'zh-CN');
+  } finally {
+    pdfService.providers.local = local;
+    pdfService.providers.adobe = adobe;
+  }
+});
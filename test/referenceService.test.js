@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const referenceService = require('../services/referenceService');
+const sectionService = require('../services/sectionService');
+
+test('parseEntry: IEEE 格式', () => {
+  const ref = referenceService.parseEntry(
+    'A. Vaswani, N. Shazeer, and N. Parmar, “Attention is all you need,” in Proc. NeurIPS, 2017, pp. 5998-6008.',
+    1,
+    9
+  );
+
+  assert.equal(ref.id, 'ref-1');
+  assert.deepEqual(ref.authors.map(a => a.family), ['Vaswani', 'Shazeer', 'Parmar']);
+  assert.equal(ref.title, 'Attention is all you need');
+  assert.equal(ref.venue, 'Proc. NeurIPS');
+  assert.equal(ref.year, 2017);
+});
+
+test('parseEntry: APA 格式，DOI 不进入 venue', () => {
+  const ref = referenceService.parseEntry(
+    'Smith, J., & Doe, A. (2020). Learning to read papers. Journal of Examples, 12(3), 45-67. https://doi.org/10.1000/xyz123.',
+    2,
+    9
+  );
+
+  assert.deepEqual(ref.authors.map(a => a.family), ['Smith', 'Doe']);
+  assert.equal(ref.title, 'Learning to read papers');
+  assert.equal(ref.year, 2020);
+  assert.equal(ref.doi, '10.1000/xyz123');
+  assert.doesNotMatch(ref.venue, /doi/);
+  assert.equal(referenceService.guessType(ref), 'article');
+});
+
+test('parseEntry: arXiv 预印本', () => {
+  const ref = referenceService.parseEntry(
+    'I. Beltagy, M. E. Peters, and A. Cohan, “Longformer: The long-document transformer,” arXiv preprint arXiv:2004.05150v2, 2020.',
+    3,
+    9
+  );
+
+  assert.equal(ref.arxivId, '2004.05150v2');
+  assert.equal(referenceService.guessType(ref), 'misc');
+});
+
+test('parse: 合并跨段落的条目并关联正文引用', () => {
+  const elements = [
+    { type: 'text', page: 1, path: '//Document/H1', text: '1 Introduction' },
+    { type: 'text', page: 1, path: '//Document/P', text: 'Prior work [1], [2-3] studied this.' },
+    { type: 'text', page: 2, path: '//Document/H1[2]', text: 'References' },
+    { type: 'text', page: 2, path: '//Document/L/LI', text: '[1] A. One, “First paper,” in Proc. A, 2019.' },
+    { type: 'text', page: 2, path: '//Document/L/LI[2]', text: '[2] B. Two, “Second paper,”' },
+    { type: 'text', page: 2, path: '//Document/L/LI[3]', text: 'in Proc. B, 2020. [3] C. Three, “Third paper,” in Proc. C, 2021.' }
+  ];
+  const sections = sectionService.buildSections(elements);
+  const { references, citations } = referenceService.parse(sections);
+
+  assert.deepEqual(references.map(ref => ref.number), [1, 2, 3]);
+  assert.equal(references[1].venue, 'Proc. B');
+  assert.deepEqual(citations.map(c => c.referenceIds), [['ref-1'], ['ref-2', 'ref-3']]);
+  assert.deepEqual(references[2].citedBy, [1]);
+});
+
+test('parse: 没有参考文献章节', () => {
+  const sections = sectionService.buildSections([{ type: 'text', page: 1, text: 'Just a paragraph.' }]);
+  assert.deepEqual(referenceService.parse(sections), { references: [], citations: [] });
+});
+
+test('toBibTeX: 引用键去重并转义特殊字符', () => {
+  const refs = [
+    referenceService.parseEntry('A. Smith, “Deep nets & more,” in Proc. X, 2020.', 1, 1),
+    referenceService.parseEntry('A. Smith, “Deep learning again,” in Proc. Y, 2020.', 2, 1)
+  ];
+  const bibtex = referenceService.toBibTeX(refs);
+
+  assert.match(bibtex, /@inproceedings\{smith2020deep,/);
+  assert.match(bibtex, /@inproceedings\{smith2020deepb,/);
+  assert.match(bibtex, /title = \{Deep nets \\& more\}/);
+});
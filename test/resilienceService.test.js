@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 配置在服务加载时读取：退避上限 1ms，连续 3 次失败熔断
+process.env.UPSTREAM_MAX_DELAY_MS = '1';
+process.env.UPSTREAM_BREAKER_THRESHOLD = '3';
+process.env.UPSTREAM_BREAKER_COOLDOWN_MS = '50';
+
+const resilienceService = require('../services/resilienceService');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('classify: 按状态码、错误码和消息分类', () => {
+  assert.equal(resilienceService.classify(httpError(429)), 'rate_limit');
+  assert.equal(resilienceService.classify(httpError(503)), 'server');
+  assert.equal(resilienceService.classify(httpError(400)), 'client');
+  assert.equal(resilienceService.classify(Object.assign(new Error('x'), { statusCode: 408 })), 'timeout');
+  assert.equal(resilienceService.classify(Object.assign(new Error('x'), { code: 'ECONNRESET' })), 'network');
+  assert.equal(resilienceService.classify(new Error('timeout of 1000ms exceeded')), 'timeout');
+  assert.equal(resilienceService.classify(new Error('boom')), 'other');
+});
+
+test('retryAfter: 秒数和 HTTP 日期', () => {
+  assert.equal(resilienceService.retryAfter(httpError(429, { 'retry-after': '2' })), 2000);
+  const later = new Date(Date.now() + 60000).toUTCString();
+  const wait = resilienceService.retryAfter(httpError(429, { 'retry-after': later }));
+  assert.ok(wait > 50000 && wait <= 60000, String(wait));
+  assert.equal(resilienceService.retryAfter(httpError(429)), null);
+});
+
+test('call: 临时性错误重试后成功', async () => {
+  let calls = 0;
+  const retries = [];
+  const result = await resilienceService.call('test:retry', async () => {
+    calls++;
+    if (calls < 3) throw httpError(502);
+    return 'ok';
+  }, { onRetry: info => retries.push(info.attempt) });
+
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test('call: 请求本身的错误不重试，也不计入熔断', async () => {
+  let calls = 0;
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(resilienceService.call('test:client', async () => {
+      calls++;
+      throw httpError(400);
+    }), { errorClass: 'client', attempts: 1 });
+  }
+
+  assert.equal(calls, 4);
+  assert.equal(resilienceService.breaker('test:client').state, 'closed');
+});
+
+test('call: retryable 为 false 时不重试', async () => {
+  let calls = 0;
+  await assert.rejects(resilienceService.call('test:partial', async () => {
+    calls++;
+    throw Object.assign(httpError(503), { retryable: false });
+  }));
+  assert.equal(calls, 1);
+});
+
+test('call: 连续失败后熔断，冷却后放行一次试探请求', async () => {
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw httpError(500);
+  };
+
+  await assert.rejects(resilienceService.call('test:breaker', failing), { errorClass: 'server' });
+  assert.equal(calls, 3);
+  assert.equal(resilienceService.breaker('test:breaker').state, 'open');
+
+  await assert.rejects(resilienceService.call('test:breaker', failing), { statusCode: 503, circuitOpen: true });
+  assert.equal(calls, 3);
+
+  await sleep(60);
+  assert.equal(await resilienceService.call('test:breaker', async () => 'recovered'), 'recovered');
+  assert.equal(resilienceService.breaker('test:breaker').state, 'closed');
+});
@@ -0,0 +1,102 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// tableService 依赖 cacheService，加载时会创建缓存目录
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'table-test-'));
+process.env.CACHE_DIR = cacheDir;
+
+const tableService = require('../services/tableService');
+
+after(async () => {
+  await fs.remove(cacheDir);
+});
+
+test('parseCSV: 引号、转义引号，字段内换行合并为空格', () => {
+  const rows = tableService.parseCSV('﻿Name,Note\n"Smith, J.","said ""hi""\nthen left"\n');
+  assert.deepEqual(rows, [['Name', 'Note'], ['Smith, J.', 'said "hi" then left']]);
+});
+
+test('parseCell: 数值、百分比、误差和空单元格', () => {
+  assert.equal(tableService.parseCell('1,234.5'), 1234.5);
+  assert.equal(tableService.parseCell('−0.5'), -0.5);
+  assert.equal(tableService.parseCell('.5'), 0.5);
+  // 单位、误差和显著性标记不能被静默丢弃
+  assert.equal(tableService.parseCell('12.3%'), '12.3%');
+  assert.equal(tableService.parseCell('85.3±0.2'), '85.3±0.2');
+  assert.equal(tableService.parseCell('92.1*'), '92.1*');
+  assert.equal(tableService.parseCell('—'), null);
+  assert.equal(tableService.parseCell(''), null);
+  assert.equal(tableService.parseCell('ResNet-50'), 'ResNet-50');
+});
+
+test('parseCell: 括号数值默认保持字符串，accounting 时解析为负数', () => {
+  assert.equal(tableService.parseCell('(3.2)'), '(3.2)');
+  assert.equal(tableService.parseCell('(1,200)'), '(1,200)');
+  assert.equal(tableService.parseCell('(3.2)', { accounting: true }), -3.2);
+  assert.equal(tableService.parseCell('(1,200)', { accounting: true }), -1200);
+});
+
+test('toStructured: 括号数值行不被当作表头', () => {
+  const structured = tableService.toStructured({ rows: [['Item', 'Delta'], ['A', '(3.2)'], ['B', '1.5']], merges: [] });
+  assert.equal(structured.headerRows.length, 1);
+  assert.deepEqual(structured.rows, [['A', '(3.2)'], ['B', 1.5]]);
+  assert.deepEqual(structured.columns.map(col => col.type), ['string', 'string']);
+});
+
+test('loadTable: key 不能跳出表格目录', async () => {
+  await fs.outputFile(path.join(cacheDir, 'outside.csv'), 'secret,1\n');
+  assert.equal(await tableService.loadTable('../outside'), null);
+});
+
+test('loadTable: .xls 返回 415', async () => {
+  await fs.outputFile(path.join(cacheDir, 'tables', 'legacy.xls'), 'binary');
+  await assert.rejects(tableService.loadTable('legacy'), { statusCode: 415 });
+});
+
+test('toStructured: 多行表头按层级拼接列名', () => {
+  const table = {
+    rows: tableService.parseCSV('Method,ImageNet,,COCO,\n,Top-1,Top-5,AP,AP50\nOurs,80.1,95.0,45.2,66.3\nBaseline,76.5,93.1,41.0,62.8\n'),
+    merges: []
+  };
+  const structured = tableService.toStructured(table);
+
+  assert.equal(structured.headerRows.length, 2);
+  assert.deepEqual(structured.columns.map(col => col.name), ['Method', 'ImageNet / Top-1', 'ImageNet / Top-5', 'COCO / AP', 'COCO / AP50']);
+  assert.deepEqual(structured.columns.map(col => col.type), ['string', 'number', 'number', 'number', 'number']);
+  assert.deepEqual(structured.rows[0], ['Ours', 80.1, 95.0, 45.2, 66.3]);
+});
+
+test('toStructured: 百分比和误差列保持字符串，仍按数值行识别表头', () => {
+  const structured = tableService.toStructured({ rows: [['Model', 'Acc', 'F1'], ['Ours', '85.3±0.2', '12.3%'], ['Base', '80.1±0.4', '10.0%']], merges: [] });
+  assert.equal(structured.headerRows.length, 1);
+  assert.deepEqual(structured.rows, [['Ours', '85.3±0.2', '12.3%'], ['Base', '80.1±0.4', '10.0%']]);
+  assert.deepEqual(structured.columns.map(col => col.type), ['string', 'string', 'string']);
+});
+
+test('toHTML: 合并单元格转为 colspan / rowspan，内容转义', () => {
+  const table = {
+    rows: [['Model', 'Score', ''], ['', 'A', 'B'], ['<x>', '1', '2']],
+    merges: [
+      { startRow: 0, startCol: 0, endRow: 1, endCol: 0 },
+      { startRow: 0, startCol: 1, endRow: 0, endCol: 2 }
+    ]
+  };
+  const html = tableService.toHTML(table);
+
+  assert.match(html, /<th rowspan="2">Model<\/th><th colspan="2">Score<\/th>/);
+  assert.match(html, /<tr><th>A<\/th><th>B<\/th><\/tr>/);
+  assert.match(html, /<td>&lt;x&gt;<\/td>/);
+});
+
+test('toMarkdown: 百分比列右对齐并保留原文', () => {
+  const markdown = tableService.toMarkdown({ rows: [['Name', 'Acc'], ['a', '12.3%'], ['b', '—']], merges: [] });
+  assert.equal(markdown, '| Name | Acc |\n| --- | ---: |\n| a | 12.3% |\n| b |  |\n');
+});
+
+test('toMarkdown: 数值列右对齐，竖线、HTML 和强调符号转义', () => {
+  const markdown = tableService.toMarkdown({ rows: [['Name', 'Value'], ['a|b', '1.5'], ['<i>x</i> *y*', '2']], merges: [] });
+  assert.equal(markdown, '| Name | Value |\n| --- | ---: |\n| a\\|b | 1.5 |\n| &lt;i&gt;x&lt;/i&gt; \\*y\\* | 2 |\n');
+});